@@ -3,8 +3,19 @@ import cors from "cors";
 import helmet from "helmet";
 import morgan from "morgan";
 import config from "./config.js";
+import { ApiError } from "./utils/errors.js";
 import ndviRoutes from "./routes/ndviRoutes.js";
+import sarRoutes from "./routes/sarRoutes.js";
 import demRoutes from "./routes/demRoutes.js";
+import jobRoutes from "./routes/jobRoutes.js";
+import subscriptionRoutes from "./routes/subscriptionRoutes.js";
+import cacheRoutes from "./routes/cacheRoutes.js";
+import geometryRoutes from "./routes/geometryRoutes.js";
+import apiKeyRoutes from "./routes/apiKeyRoutes.js";
+import usageRoutes from "./routes/usageRoutes.js";
+import healthRoutes from "./routes/healthRoutes.js";
+import subscriptionService from "./services/subscriptionService.js";
+import apiKeyService from "./services/apiKeyService.js";
 import swaggerUi from "swagger-ui-express";
 import YAML from "yamljs";
 import path from "path";
@@ -14,7 +25,18 @@ const app = express();
 
 // Security middleware
 app.use(helmet());
-app.use(cors());
+// Browsers may read the rate limit headers of API key requests
+app.use(
+  cors({
+    origin: config.CORS_ORIGINS,
+    exposedHeaders: [
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "Retry-After",
+    ],
+  })
+);
 // Logging middleware
 app.use(morgan("combined"));
 
@@ -23,8 +45,16 @@ app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 // Routes
+app.use("/health", healthRoutes);
 app.use("/ndvi", ndviRoutes);
+app.use("/sar", sarRoutes);
 app.use("/dem", demRoutes);
+app.use("/jobs", jobRoutes);
+app.use("/subscriptions", subscriptionRoutes);
+app.use("/cache", cacheRoutes);
+app.use("/geometry", geometryRoutes);
+app.use("/usage", usageRoutes);
+app.use("/admin/keys", apiKeyRoutes);
 
 // Swagger UI at /docs and raw spec at /docs/openapi.yaml
 const __filename = fileURLToPath(import.meta.url);
@@ -44,8 +74,40 @@ app.get("/", (req, res) => {
     version: "1.0.0",
     endpoints: {
       "POST /ndvi/timeseries": "Get NDVI timeseries data",
+      "POST /ndvi/phenology":
+        "Get crop phenology metrics from the NDVI timeseries",
+      "POST /ndvi/anomaly": "Compare NDVI against a multi-year baseline",
+      "POST /ndvi/zones":
+        "Delineate management zones from a per-pixel NDVI composite",
       "GET /ndvi/health": "Health check endpoint",
-      "POST /dem/clip": "Get DEM cutout (JSON format only) via openEO",
+      "GET /health/live": "Liveness probe",
+      "GET /health/ready":
+        "Readiness probe: openEO capabilities, token, collections and circuit breaker",
+      "POST /ndvi/composite":
+        "Download an NDVI composite (GeoTIFF, netCDF or PNG)",
+      "POST /sar/timeseries":
+        "Get Sentinel-1 radar vegetation index (RVI) and VH/VV ratio timeseries",
+      "POST /dem/clip":
+        "Get DEM cutout (JSON, GeoTIFF, netCDF or PNG) via openEO",
+      "POST /jobs": "Submit an NDVI or DEM request as an openEO batch job",
+      "GET /jobs/:id": "Batch job status",
+      "GET /jobs/:id/result": "Transformed result of a finished batch job",
+      "POST /subscriptions":
+        "Monitor a field on a schedule with alert rules and a webhook",
+      "GET /subscriptions": "List subscriptions",
+      "GET /subscriptions/:id": "Subscription state",
+      "PATCH /subscriptions/:id":
+        "Pause, resume or change the schedule, rules or webhook",
+      "DELETE /subscriptions/:id": "Delete a subscription",
+      "POST /subscriptions/:id/run": "Run a subscription now",
+      "GET /subscriptions/:id/deliveries": "Webhook delivery log",
+      "DELETE /cache": "Purge the response cache (or /cache/:namespace)",
+      "POST /geometry/parse":
+        "Parse a GeoJSON, KML/KMZ, zipped Shapefile or WKT geometry",
+      "GET /usage": "Limits and usage of the calling API key",
+      "POST /admin/keys": "Create an API key (admin)",
+      "GET /admin/keys": "List API keys (admin)",
+      "DELETE /admin/keys/:id": "Revoke an API key (admin)",
       "GET /docs": "Swagger UI",
       "GET /docs/openapi.yaml": "OpenAPI YAML",
     },
@@ -56,26 +118,66 @@ app.get("/", (req, res) => {
 app.use("*", (req, res) => {
   res.status(404).json({
     error: "Not Found",
+    code: "route_not_found",
     message: `Route ${req.originalUrl} not found`,
   });
 });
 
-// Global error handler
+// Global error handler: typed errors (utils/errors.js) render as
+// { error, code, message, upstream? } with their own status
 app.use((error, req, res, next) => {
+  // Failures mid-stream (raster downloads) can only abort the response
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  if (error instanceof ApiError) {
+    if (error.retryAfter) {
+      res.set("Retry-After", String(error.retryAfter));
+    }
+    return res.status(error.status).json(error);
+  }
+
+  // Body parser errors: malformed JSON or an oversized body
+  if (error.status >= 400 && error.status < 500) {
+    return res.status(error.status).json({
+      error: error.status === 413 ? "Payload too large" : "Bad Request",
+      code: error.status === 413 ? "payload_too_large" : "invalid_request",
+      message: error.message,
+    });
+  }
+
   console.error("Unhandled error:", error);
-  res.status(500).json({
-    error: "Internal Server Error",
-    message:
-      config.NODE_ENV === "development"
-        ? error.message
-        : "Something went wrong",
-  });
+  const message =
+    config.NODE_ENV === "development" ? error.message : "Something went wrong";
+  res.status(500).json(new ApiError(message));
 });
 
-// Start server
+// Start server, unless authentication would lock everyone out; this also
+// reads the API key store, so an unreadable one stops the start. Tests use
+// the app without listening.
 const PORT = config.PORT;
-app.listen(PORT, () => {
-  console.log(`NDVI API Server running on port ${PORT}`);
-});
+if (config.NODE_ENV !== "test") {
+  apiKeyService
+    .hasAdminAccess()
+    .then((adminAccess) => {
+      if (!adminAccess) {
+        console.error(
+          "AUTH_ENABLED is on, but ADMIN_API_KEY is not set and the API key store has no admin key, so every request would be refused. Set ADMIN_API_KEY (or AUTH_ENABLED=false) and restart."
+        );
+        process.exit(1);
+      }
+      app.listen(PORT, () => {
+        console.log(`NDVI API Server running on port ${PORT}`);
+        if (config.SUBSCRIPTION_SCHEDULER_ENABLED) {
+          subscriptionService.start();
+        }
+      });
+    })
+    .catch((error) => {
+      console.error("Failed to start:", error.message);
+      process.exit(1);
+    });
+}
 
 export default app;
@@ -1,12 +1,223 @@
 import dotenv from "dotenv";
 dotenv.config();
 
+// openEO backend providers. Each one defines how to authenticate
+// (auth.method "oidc" client credentials, "basic" or "none"), the prefix
+// openEO expects in front of the access token and the collection ids to use.
+// DEM products without a mapping are discovered from GET /collections;
+// providers without a Landsat collection only offer Sentinel-2 NDVI.
+const OPENEO_PROVIDERS = {
+  cdse: {
+    title: "Copernicus Data Space Ecosystem",
+    url: "https://openeo.dataspace.copernicus.eu/openeo/1.0",
+    auth: {
+      method: "oidc",
+      tokenUrl:
+        "https://identity.dataspace.copernicus.eu/auth/realms/CDSE/protocol/openid-connect/token",
+      scope: "openid email profile user-context",
+      tokenPrefix: "oidc/CDSE/",
+    },
+    collections: {
+      sentinel2: "SENTINEL2_L2A",
+      sentinel1: "SENTINEL1_GRD",
+      landsat: "LANDSAT8_L2",
+      dem: {
+        "GLO-30": "COPERNICUS_30",
+        "GLO-90": "COPERNICUS_90",
+      },
+    },
+  },
+  terrascope: {
+    title: "VITO Terrascope",
+    url: "https://openeo.vito.be/openeo/1.2",
+    auth: {
+      method: "oidc",
+      tokenUrl:
+        "https://sso.terrascope.be/auth/realms/terrascope/protocol/openid-connect/token",
+      scope: "openid",
+      tokenPrefix: "oidc/terrascope/",
+    },
+    collections: {
+      sentinel2: "SENTINEL2_L2A",
+      sentinel1: "SENTINEL1_GRD",
+      landsat: "LANDSAT8_L2",
+      dem: {
+        "GLO-30": "COPERNICUS_30",
+        "GLO-90": "COPERNICUS_90",
+      },
+    },
+  },
+  eodc: {
+    title: "EODC",
+    url: "https://openeo.eodc.eu/openeo/1.1.0",
+    auth: {
+      method: "oidc",
+      tokenUrl:
+        "https://aai.egi.eu/auth/realms/egi/protocol/openid-connect/token",
+      scope: "openid email eduperson_entitlement",
+      tokenPrefix: "oidc/egi/",
+    },
+    collections: {
+      sentinel2: "SENTINEL2_L2A",
+      sentinel1: "SENTINEL1_GRD",
+      dem: {},
+    },
+  },
+  // Local openEO test backend (e.g. the openeo-python-driver dummy backend)
+  local: {
+    title: "Local openEO backend",
+    url: "http://localhost:8080/openeo/1.1.0",
+    auth: {
+      method: "none",
+      tokenPrefix: "",
+    },
+    collections: {
+      sentinel2: "SENTINEL2_L2A",
+      sentinel1: "SENTINEL1_GRD",
+      landsat: "LANDSAT8_L2",
+      dem: {
+        "GLO-30": "COPERNICUS_30",
+        "GLO-90": "COPERNICUS_90",
+      },
+    },
+  },
+};
+
+// Token prefix per auth method when the provider does not define one
+const DEFAULT_TOKEN_PREFIXES = {
+  oidc: "oidc/",
+  basic: "basic//",
+  none: "",
+};
+
+const providerName = (process.env.OPENEO_PROVIDER || "cdse").toLowerCase();
+if (!OPENEO_PROVIDERS[providerName]) {
+  console.error(
+    `Unknown OPENEO_PROVIDER "${providerName}". Available providers:`,
+    Object.keys(OPENEO_PROVIDERS)
+  );
+  process.exit(1);
+}
+
+// Selected provider with environment overrides applied
+const preset = OPENEO_PROVIDERS[providerName];
+const authMethod = process.env.OPENEO_AUTH_METHOD || preset.auth.method;
+const provider = {
+  ...preset,
+  name: providerName,
+  auth: {
+    ...preset.auth,
+    method: authMethod,
+    tokenUrl: process.env.OPENEO_TOKEN_URL || preset.auth.tokenUrl,
+    tokenPrefix:
+      process.env.OPENEO_TOKEN_PREFIX ??
+      (authMethod === preset.auth.method ? preset.auth.tokenPrefix : null) ??
+      DEFAULT_TOKEN_PREFIXES[authMethod],
+  },
+  collections: {
+    ...preset.collections,
+    sentinel2:
+      process.env.OPENEO_SENTINEL2_COLLECTION || preset.collections.sentinel2,
+    sentinel1:
+      process.env.OPENEO_SENTINEL1_COLLECTION || preset.collections.sentinel1,
+    landsat:
+      process.env.OPENEO_LANDSAT_COLLECTION || preset.collections.landsat,
+  },
+};
+
+// Integer environment variable where 0 is a valid value (e.g. a disabled TTL)
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
 const config = {
-  OPENEO_API_URL: process.env.OPENEO_API_URL || "",
+  OPENEO_PROVIDER: providerName,
+  OPENEO_API_URL: process.env.OPENEO_API_URL || provider.url,
   OPENEO_CLIENT_ID: process.env.OPENEO_CLIENT_ID || "",
   OPENEO_CLIENT_SECRET: process.env.OPENEO_CLIENT_SECRET || "",
+  OPENEO_USERNAME: process.env.OPENEO_USERNAME || "",
+  OPENEO_PASSWORD: process.env.OPENEO_PASSWORD || "",
+  provider,
+  // openEO HTTP client: request timeout (0 for none), retries with
+  // exponential backoff on network errors, 429 and 5xx, and the circuit
+  // breaker (consecutive failures that open it, time until a trial request)
+  OPENEO_TIMEOUT_MS: envInt("OPENEO_TIMEOUT_MS", 5 * 60 * 1000),
+  OPENEO_RETRIES: envInt("OPENEO_RETRIES", 3),
+  OPENEO_RETRY_BASE_MS: envInt("OPENEO_RETRY_BASE_MS", 1000),
+  OPENEO_RETRY_MAX_MS: envInt("OPENEO_RETRY_MAX_MS", 30000),
+  OPENEO_BREAKER_THRESHOLD: envInt("OPENEO_BREAKER_THRESHOLD", 5),
+  OPENEO_BREAKER_RESET_MS: envInt("OPENEO_BREAKER_RESET_MS", 30000),
+  // Readiness checks (GET /health/ready): timeout per backend request, and how
+  // long their results are reused
+  HEALTH_CHECK_TIMEOUT_MS: envInt("HEALTH_CHECK_TIMEOUT_MS", 5000),
+  HEALTH_CACHE_TTL_MS: envInt("HEALTH_CACHE_TTL_MS", 30000),
   PORT: process.env.PORT || 3000,
+  // API key authentication; "false" leaves the API open. ADMIN_API_KEY is a
+  // built-in admin key for managing the stored keys.
+  AUTH_ENABLED: process.env.AUTH_ENABLED !== "false",
+  ADMIN_API_KEY: process.env.ADMIN_API_KEY || "",
+  // Allowed CORS origins, comma-separated; "*" allows any
+  CORS_ORIGINS:
+    !process.env.CORS_ORIGINS || process.env.CORS_ORIGINS === "*"
+      ? "*"
+      : process.env.CORS_ORIGINS.split(",").map((origin) => origin.trim()),
+  // API key store: "memory", "file" (JSON file) or "sqlite" (needs the
+  // better-sqlite3 package), at API_KEY_STORE_PATH
+  API_KEY_STORE: process.env.API_KEY_STORE || "file",
+  API_KEY_STORE_PATH: process.env.API_KEY_STORE_PATH || "storage/api-keys.json",
+  // Defaults for new keys; 0 disables the limit. The quota unit is
+  // hectares × days of imagery processed per UTC day.
+  DEFAULT_RATE_LIMIT_PER_MINUTE: envInt("DEFAULT_RATE_LIMIT_PER_MINUTE", 60),
+  DEFAULT_DAILY_QUOTA_HA_DAYS: envInt("DEFAULT_DAILY_QUOTA_HA_DAYS", 100000),
   NODE_ENV: process.env.NODE_ENV || "development",
+  // Limits for multi-field (FeatureCollection) requests
+  MAX_FIELDS_PER_REQUEST: parseInt(process.env.MAX_FIELDS_PER_REQUEST) || 500,
+  MAX_TOTAL_AREA_HA: parseFloat(process.env.MAX_TOTAL_AREA_HA) || 100000,
+  // Limits per polygon geometry (see utils/geometry.js)
+  MIN_FIELD_AREA_HA: parseFloat(process.env.MIN_FIELD_AREA_HA) || 0.01,
+  MAX_FIELD_AREA_HA: parseFloat(process.env.MAX_FIELD_AREA_HA) || 100000,
+  MAX_FIELD_VERTICES: parseInt(process.env.MAX_FIELD_VERTICES) || 10000,
+  // Valid composite pixels a management zones request may classify (about
+  // 1,000 ha at Sentinel-2's 10 m); checked on the field area and the grid
+  MAX_ZONE_PIXELS: envInt("MAX_ZONE_PIXELS", 100000),
+  // Maximum size of geometry file uploads (bytes)
+  MAX_UPLOAD_BYTES: envInt("MAX_UPLOAD_BYTES", 10 * 1024 * 1024),
+  // Batch job state: "memory" or "file" (JSON file at JOB_STORE_PATH)
+  JOB_STORE: process.env.JOB_STORE || "memory",
+  JOB_STORE_PATH: process.env.JOB_STORE_PATH || "storage/jobs.json",
+  // Field monitoring subscriptions and their webhook delivery log: "memory"
+  // or "file" (JSON file at SUBSCRIPTION_STORE_PATH)
+  SUBSCRIPTION_STORE: process.env.SUBSCRIPTION_STORE || "file",
+  SUBSCRIPTION_STORE_PATH:
+    process.env.SUBSCRIPTION_STORE_PATH || "storage/subscriptions.json",
+  // In-process scheduler: "false" disables it (subscriptions then only run
+  // through POST /subscriptions/:id/run); checks for due runs and webhook
+  // retries every SUBSCRIPTION_TICK_MS
+  SUBSCRIPTION_SCHEDULER_ENABLED:
+    process.env.SUBSCRIPTION_SCHEDULER_ENABLED !== "false",
+  SUBSCRIPTION_TICK_MS: envInt("SUBSCRIPTION_TICK_MS", 60 * 1000),
+  // Days of imagery fetched by the first run when no start_date is given
+  SUBSCRIPTION_LOOKBACK_DAYS: envInt("SUBSCRIPTION_LOOKBACK_DAYS", 30),
+  // Webhook deliveries: request timeout, attempts before giving up and the
+  // first retry delay (doubled for every further attempt)
+  WEBHOOK_TIMEOUT_MS: envInt("WEBHOOK_TIMEOUT_MS", 10000),
+  WEBHOOK_MAX_ATTEMPTS: envInt("WEBHOOK_MAX_ATTEMPTS", 5),
+  WEBHOOK_RETRY_BASE_MS: envInt("WEBHOOK_RETRY_BASE_MS", 60 * 1000),
+  // "true" lets webhooks go to loopback, private and link-local addresses,
+  // for receivers on the local machine or network (testing only)
+  WEBHOOK_ALLOW_PRIVATE: process.env.WEBHOOK_ALLOW_PRIVATE === "true",
+  // Response cache: "memory" (LRU), "file" (directory at CACHE_PATH) or
+  // "redis" (REDIS_URL, needs the redis package)
+  CACHE_STORE: process.env.CACHE_STORE || "memory",
+  CACHE_PATH: process.env.CACHE_PATH || "storage/cache",
+  CACHE_MAX_ENTRIES: envInt("CACHE_MAX_ENTRIES", 500),
+  REDIS_URL: process.env.REDIS_URL || "redis://localhost:6379",
+  // Per-route TTLs in seconds; 0 disables caching. New Sentinel-1 and -2
+  // scenes arrive every few days, DEMs practically never change.
+  CACHE_TTL_NDVI: envInt("CACHE_TTL_NDVI", 3600),
+  CACHE_TTL_DEM: envInt("CACHE_TTL_DEM", 30 * 24 * 3600),
+  CACHE_TTL_SAR: envInt("CACHE_TTL_SAR", 3600),
 };
 
 // api url must have proper protocol
@@ -19,11 +230,28 @@ if (config.OPENEO_API_URL && !config.OPENEO_API_URL.includes("/openeo/")) {
   config.OPENEO_API_URL = `${config.OPENEO_API_URL}/openeo/1.0`;
 }
 
-// Validate required environment variables
+// Validate required environment variables (credentials depend on the
+// provider's auth method)
+const credentialEnvVars = {
+  oidc: ["OPENEO_CLIENT_ID", "OPENEO_CLIENT_SECRET"],
+  basic: ["OPENEO_USERNAME", "OPENEO_PASSWORD"],
+  none: [],
+};
+if (!credentialEnvVars[provider.auth.method]) {
+  console.error(
+    `Unknown OPENEO_AUTH_METHOD "${provider.auth.method}". Use one of:`,
+    Object.keys(credentialEnvVars)
+  );
+  process.exit(1);
+}
+if (provider.auth.method === "oidc" && !provider.auth.tokenUrl) {
+  console.error("Missing OPENEO_TOKEN_URL for OIDC authentication");
+  process.exit(1);
+}
+
 const requiredEnvVars = [
   "OPENEO_API_URL",
-  "OPENEO_CLIENT_ID",
-  "OPENEO_CLIENT_SECRET",
+  ...credentialEnvVars[provider.auth.method],
 ];
 const missingVars = requiredEnvVars.filter((varName) => !config[varName]);
 
@@ -32,4 +260,5 @@ if (missingVars.length > 0) {
   process.exit(1);
 }
 
+export { OPENEO_PROVIDERS };
 export default config;
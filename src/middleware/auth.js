@@ -0,0 +1,90 @@
+import config from "../config.js";
+import apiKeyService from "../services/apiKeyService.js";
+import { ForbiddenError, UnauthorizedError } from "../utils/errors.js";
+import { processingUsage } from "../utils/usage.js";
+
+// API key from the X-API-Key header or an Authorization bearer token
+const presentedKey = (req) =>
+  req.get("X-API-Key") ||
+  req.get("Authorization")?.match(/^Bearer\s+(\S+)$/i)?.[1];
+
+/**
+ * Require an API key with `scope` (any valid key without one), count the
+ * request against the key's rate limit and usage, and set req.apiKey.
+ * Everything passes when AUTH_ENABLED is false.
+ */
+const authorize = (scope) => async (req, res, next) => {
+  if (!config.AUTH_ENABLED) {
+    return next();
+  }
+
+  try {
+    const secret = presentedKey(req);
+    if (!secret) {
+      throw new UnauthorizedError("API key required in the X-API-Key header", {
+        code: "api_key_missing",
+      });
+    }
+    const key = await apiKeyService.authenticate(secret);
+    if (!key) {
+      throw new UnauthorizedError("Invalid or revoked API key", {
+        code: "api_key_invalid",
+      });
+    }
+    if (scope && !apiKeyService.hasScope(key, scope)) {
+      throw new ForbiddenError(`API key lacks the "${scope}" scope`);
+    }
+
+    const rate = apiKeyService.consumeRateLimit(key);
+    if (rate) {
+      res.set({
+        "RateLimit-Limit": String(rate.limit),
+        "RateLimit-Remaining": String(rate.remaining),
+        "RateLimit-Reset": String(rate.reset),
+      });
+    }
+    await apiKeyService.recordRequest(key);
+    req.apiKey = key;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Charge the request's processing (hectares × days, see utils/usage.js) to
+ * the key's daily quota. Runs after validation; placed after cacheResponse,
+ * cached responses are free. `paramsOf` picks the NDVI/DEM parameters.
+ * The charge is kept on `req.quotaCharge` for refundQuota.
+ */
+const chargeQuota =
+  (paramsOf = (req) => req.body) =>
+  async (req, res, next) => {
+    if (!req.apiKey) {
+      return next();
+    }
+    try {
+      const usage = processingUsage(paramsOf(req));
+      await apiKeyService.chargeQuota(req.apiKey, usage.area_ha_days);
+      req.quotaCharge = usage.area_ha_days;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+// Give back the charge of a request whose processing was never started;
+// best effort, the original error is what the client needs to see
+const refundQuota = async (req) => {
+  if (!req.apiKey || !req.quotaCharge) {
+    return;
+  }
+  try {
+    await apiKeyService.refundQuota(req.apiKey, req.quotaCharge);
+    req.quotaCharge = 0;
+  } catch (error) {
+    console.error("Error refunding quota:", error.message);
+  }
+};
+
+export { authorize, chargeQuota, refundQuota };
@@ -0,0 +1,77 @@
+import cacheService from "../services/cacheService.js";
+
+// Whether an If-None-Match header lists the given ETag
+const matchesETag = (header, etag) =>
+  (header || "")
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .some((tag) => tag === etag || tag === "*");
+
+// CSV, GeoJSON and NDJSON renderings of a cached body (see export.js) get
+// their own ETag
+const representationETag = (req, etag) =>
+  req.exportFormat ? etag.replace(/"$/, `-${req.exportFormat}"`) : etag;
+
+/**
+ * Cache successful JSON responses of a route for ttlSeconds, keyed on the
+ * validated request body (so it must run after validation). A ttl of 0
+ * disables caching for the route.
+ *
+ * Request "Cache-Control: no-cache" skips the lookup but refreshes the
+ * entry; "no-store" bypasses the cache entirely.
+ */
+const cacheResponse = (namespace, ttlSeconds) => async (req, res, next) => {
+  if (!ttlSeconds) {
+    return next();
+  }
+
+  const directives = (req.get("Cache-Control") || "").toLowerCase();
+  const noStore = directives.includes("no-store");
+  const noCache = noStore || directives.includes("no-cache");
+  const key = cacheService.key(namespace, req.body);
+
+  if (!noCache) {
+    const entry = await cacheService.get(key);
+    if (entry) {
+      const maxAge = Math.max(
+        0,
+        Math.floor((entry.expires_at - Date.now()) / 1000)
+      );
+      const etag = representationETag(req, entry.etag);
+      res.set({
+        "X-Cache": "HIT",
+        ETag: etag,
+        "Cache-Control": `private, max-age=${maxAge}`,
+      });
+      if (matchesETag(req.get("If-None-Match"), etag)) {
+        return res.status(304).end();
+      }
+      return res.json(entry.body);
+    }
+  }
+
+  // Store the response once the handler sends it
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode !== 200) {
+      return sendJson(body);
+    }
+    if (noStore) {
+      res.set({ "X-Cache": "BYPASS", "Cache-Control": "no-store" });
+      return sendJson(body);
+    }
+
+    const etag = cacheService.etag(body);
+    res.set({
+      "X-Cache": noCache ? "REFRESH" : "MISS",
+      ETag: representationETag(req, etag),
+      "Cache-Control": `private, max-age=${ttlSeconds}`,
+    });
+    cacheService.set(key, body, ttlSeconds, etag);
+    return sendJson(body);
+  };
+
+  next();
+};
+
+export { cacheResponse };
@@ -0,0 +1,33 @@
+import dryRunService from "../services/dryRunService.js";
+
+const isDryRun = (value) => ["true", "1"].includes(String(value).toLowerCase());
+
+/**
+ * `?dry_run=true`: answer with the process graphs, their validation and the
+ * estimated size and cost instead of running the request.
+ * buildProcessGraphs(body) returns the graphs keyed by sensor or DEM
+ * product; runs(body) how often they would be executed. Must run after
+ * validation and before exportResponse and cacheResponse; dry runs are not
+ * cached or charged to the key's quota.
+ */
+const dryRun =
+  (buildProcessGraphs, runs = () => 1) =>
+  async (req, res, next) => {
+    if (!isDryRun(req.query.dry_run)) {
+      return next();
+    }
+
+    try {
+      const processGraphs = await buildProcessGraphs(req.body);
+      res.json(
+        await dryRunService.run(processGraphs, req.body, {
+          runs: runs(req.body),
+        })
+      );
+    } catch (error) {
+      console.error("Error in dry run:", error);
+      next(error);
+    }
+  };
+
+export { dryRun };
@@ -0,0 +1,71 @@
+import {
+  EXPORT_FORMATS,
+  EXPORT_MEDIA_TYPES,
+  columnsOf,
+  toCsv,
+  toNdjson,
+} from "../utils/export.js";
+
+// Requested representation: the `format` query parameter, else the Accept
+// header; JSON when nothing else is acceptable
+const negotiateFormat = (req) => {
+  if (req.query.format) {
+    return String(req.query.format).toLowerCase();
+  }
+  return (
+    EXPORT_MEDIA_TYPES[req.accepts(Object.keys(EXPORT_MEDIA_TYPES))] || "json"
+  );
+};
+
+/**
+ * Content negotiation for a JSON route: CSV, GeoJSON or NDJSON instead of
+ * the JSON body. `exporter` provides rows(body, req) for CSV/NDJSON,
+ * geojson(body, req) and filename(req), the download name parts.
+ *
+ * Must run before cacheResponse, which caches the JSON body and derives a
+ * separate ETag per representation from req.exportFormat.
+ */
+const exportResponse = (exporter) => (req, res, next) => {
+  res.vary("Accept");
+  const format = negotiateFormat(req);
+  if (format === "json") {
+    return next();
+  }
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      error: "Validation error",
+      details: [
+        `format must be one of [json, ${Object.keys(EXPORT_FORMATS).join(", ")}]`,
+      ],
+    });
+  }
+  req.exportFormat = format;
+
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode !== 200) {
+      return sendJson(body);
+    }
+
+    let content;
+    if (format === "geojson") {
+      content = JSON.stringify(exporter.geojson(body, req));
+    } else {
+      const rows = exporter.rows(body, req);
+      content =
+        format === "csv" ? toCsv(rows, columnsOf(rows)) : toNdjson(rows);
+    }
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const filename = exporter.filename(req).filter(Boolean).join("-");
+    res.set({
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="${filename}.${extension}"`,
+    });
+    return res.send(content);
+  };
+
+  next();
+};
+
+export { exportResponse };
@@ -0,0 +1,68 @@
+import multer from "multer";
+import config from "../config.js";
+import { mergePolygons, parseGeometryUpload } from "../utils/geometryImport.js";
+
+// Geometry files are small; keep them in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.MAX_UPLOAD_BYTES, files: 1 },
+}).single("file");
+
+// Multipart text fields holding JSON (e.g. smoothing='{"method":"whittaker"}'
+// or derivatives='["slope"]') are parsed; anything else stays a string
+const parseFormFields = (fields) =>
+  Object.fromEntries(
+    Object.entries(fields).map(([key, value]) => {
+      try {
+        const parsed = JSON.parse(value);
+        return [key, typeof parsed === "object" ? parsed : value];
+      } catch {
+        return [key, value];
+      }
+    })
+  );
+
+/**
+ * Accept multipart/form-data requests with a geometry `file` (GeoJSON,
+ * KML/KMZ, zipped Shapefile or WKT) or a `wkt` field, plus an optional `crs`.
+ * The parsed geometry becomes `geometry` of the request body: the
+ * FeatureCollection itself, or with `as = "polygon"` all polygons merged into
+ * one (Multi)Polygon, and req.geometryFormat the detected format. Must run
+ * before validation; JSON requests pass through.
+ */
+const geometryUpload =
+  (as = "fields") =>
+  (req, res, next) => {
+    if (!req.is("multipart/form-data")) {
+      return next();
+    }
+
+    upload(req, res, async (error) => {
+      if (error) {
+        return res
+          .status(error.code === "LIMIT_FILE_SIZE" ? 413 : 400)
+          .json({ error: "Upload error", message: error.message });
+      }
+
+      try {
+        const { wkt, crs, ...body } = parseFormFields(req.body);
+        if (req.file || wkt) {
+          const { format, geometry } = await parseGeometryUpload(req.file, {
+            wkt,
+            crs,
+          });
+          req.geometryFormat = format;
+          body.geometry = as === "polygon" ? mergePolygons(geometry) : geometry;
+        }
+        req.body = body;
+        next();
+      } catch (parseError) {
+        res.status(400).json({
+          error: "Invalid geometry upload",
+          message: parseError.message,
+        });
+      }
+    });
+  };
+
+export { geometryUpload };
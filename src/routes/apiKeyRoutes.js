@@ -0,0 +1,58 @@
+import express from "express";
+import { apiKeyRequestSchema, validateWith } from "../validation/schema.js";
+import apiKeyService from "../services/apiKeyService.js";
+import { authorize } from "../middleware/auth.js";
+
+const router = express.Router();
+
+router.use(authorize("admin"));
+
+// Validate a new key's name, scopes and limits
+const validateKeyRequest = validateWith(apiKeyRequestSchema);
+
+// POST /admin/keys → create a key; the secret is only returned here
+router.post("/", validateKeyRequest, async (req, res, next) => {
+  try {
+    const key = await apiKeyService.createKey(req.body);
+
+    res
+      .status(201)
+      .location(`${req.baseUrl}/${key.id}`)
+      .json({ success: true, key });
+  } catch (error) {
+    console.error("Error in API key creation endpoint:", error);
+    next(error);
+  }
+});
+
+// GET /admin/keys → all keys, including revoked ones
+router.get("/", async (req, res, next) => {
+  try {
+    const keys = await apiKeyService.listKeys();
+
+    res.json({ success: true, keys });
+  } catch (error) {
+    console.error("Error in API key list endpoint:", error);
+    next(error);
+  }
+});
+
+// DELETE /admin/keys/:id → revoke a key
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const key = await apiKeyService.revokeKey(req.params.id);
+    if (!key) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: `API key ${req.params.id} not found`,
+      });
+    }
+
+    res.json({ success: true, key });
+  } catch (error) {
+    console.error("Error in API key revoke endpoint:", error);
+    next(error);
+  }
+});
+
+export default router;
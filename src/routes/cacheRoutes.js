@@ -0,0 +1,27 @@
+import express from "express";
+import cacheService from "../services/cacheService.js";
+import { authorize } from "../middleware/auth.js";
+
+const router = express.Router();
+
+router.use(authorize("cache"));
+
+// Purge the whole response cache, or one namespace (e.g. "dem-clip")
+const purge = async (req, res, next) => {
+  try {
+    const { namespace } = req.params;
+
+    const removed = await cacheService.purge(namespace);
+
+    res.json({ success: true, namespace: namespace || null, removed });
+  } catch (error) {
+    console.error("Error in cache purge endpoint:", error);
+    next(error);
+  }
+};
+
+// DELETE /cache and DELETE /cache/:namespace
+router.delete("/", purge);
+router.delete("/:namespace", purge);
+
+export default router;
@@ -0,0 +1,70 @@
+import express from "express";
+import { area } from "@turf/turf";
+import openeoService from "../services/openeoService.js";
+import { geometryUpload } from "../middleware/geometryUpload.js";
+import { authorize } from "../middleware/auth.js";
+import {
+  parseGeometryUpload,
+  toFeatureCollection,
+} from "../utils/geometryImport.js";
+import { validateGeometry } from "../utils/geometry.js";
+import { geometryLimits } from "../validation/schema.js";
+
+const router = express.Router();
+
+router.use(authorize("geometry"));
+
+// Parse a JSON body: a `wkt` string or any GeoJSON `geometry`, with an
+// optional `crs`. Multipart uploads were already parsed by geometryUpload.
+const parseJsonBody = async ({ wkt, geometry, crs }) => {
+  if (wkt) {
+    return parseGeometryUpload(null, { wkt, crs });
+  }
+  return { format: "geojson", geometry: toFeatureCollection(geometry, crs) };
+};
+
+// POST /geometry/parse → normalized FeatureCollection in EPSG:4326
+router.post("/parse", geometryUpload(), async (req, res, next) => {
+  const { wkt, geometry } = req.body;
+  if (!wkt && (!geometry || typeof geometry !== "object")) {
+    return res.status(400).json({
+      error: "Validation error",
+      details: ["Provide a geometry file, a wkt string or a GeoJSON geometry"],
+    });
+  }
+
+  let parsed;
+  try {
+    parsed = req.geometryFormat
+      ? { format: req.geometryFormat, geometry }
+      : await parseJsonBody(req.body);
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid geometry upload",
+      message: error.message,
+    });
+  }
+
+  try {
+    const fields = openeoService.loadFields(parsed.geometry);
+    // Problems the NDVI and DEM endpoints would reject the geometry for
+    const { errors } = validateGeometry(fields, geometryLimits);
+
+    res.json({
+      success: true,
+      format: parsed.format,
+      geometry: fields,
+      summary: {
+        feature_count: fields.features.length,
+        area_ha: Math.round((area(fields) / 10000) * 100) / 100,
+      },
+      valid: errors.length === 0,
+      geometry_errors: errors,
+    });
+  } catch (error) {
+    console.error("Error in geometry parse endpoint:", error);
+    next(error);
+  }
+});
+
+export default router;
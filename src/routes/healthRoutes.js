@@ -0,0 +1,24 @@
+import express from "express";
+import healthService from "../services/healthService.js";
+
+const router = express.Router();
+
+// GET /health/live → the process is up and serving requests
+router.get("/live", (req, res) => {
+  res.json(healthService.liveness());
+});
+
+// GET /health/ready → openEO reachable, token valid, collections available
+// and circuit breaker not open; 503 otherwise
+router.get("/ready", async (req, res, next) => {
+  try {
+    const readiness = await healthService.readiness();
+
+    res.status(readiness.status === "READY" ? 200 : 503).json(readiness);
+  } catch (error) {
+    console.error("Error in readiness endpoint:", error);
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,161 @@
+import express from "express";
+import {
+  demRequestSchema,
+  jobRequestSchema,
+  ndviRequestSchema,
+  validationErrorBody,
+} from "../validation/schema.js";
+import jobService from "../services/jobService.js";
+import openeoService from "../services/openeoService.js";
+import { authorize, chargeQuota, refundQuota } from "../middleware/auth.js";
+import { buildDemResponse } from "../utils/dem.js";
+import {
+  buildTimeseriesResponse,
+  timeseriesMeta,
+} from "../utils/timeseries.js";
+
+const router = express.Router();
+
+router.use(authorize("jobs"));
+
+// Validate job type, then the request body against the NDVI or DEM schema
+const validateJobRequest = (req, res, next) => {
+  const { type, title, ...params } = req.body || {};
+
+  const { error: jobError } = jobRequestSchema.validate({ type, title });
+  const schema = type === "dem" ? demRequestSchema : ndviRequestSchema;
+  const { error, value } = jobError
+    ? { error: jobError }
+    : schema.validate(params);
+
+  // Batch job results are transformed like the synchronous JSON responses
+  if (!error && value.format && value.format !== "JSON") {
+    return res.status(400).json({
+      error: "Validation error",
+      details: ["batch jobs only support format JSON"],
+    });
+  }
+
+  if (error) {
+    return res.status(400).json(validationErrorBody(error));
+  }
+  // A batch job runs one process graph, i.e. one sensor
+  if (value.collections?.length > 1) {
+    return res.status(400).json({
+      error: "Validation error",
+      details: ["batch jobs only support a single collection"],
+    });
+  }
+
+  req.body = { type, title, params: value };
+  next();
+};
+
+// Jobs are charged to the key's quota when submitted, and refunded when the
+// batch job cannot be started
+const createJobMiddleware = [
+  validateJobRequest,
+  chargeQuota((req) => req.body.params),
+];
+
+// Public representation of a stored job
+const formatJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  title: job.title,
+  status: job.status,
+  progress: job.progress,
+  openeo_job_id: job.openeo_job_id,
+  error: job.error,
+  created_at: job.created_at,
+  updated_at: job.updated_at,
+});
+
+// POST /jobs → create and start an openEO batch job
+router.post("/", createJobMiddleware, async (req, res, next) => {
+  try {
+    const { type, title, params } = req.body;
+
+    const job = await jobService.createJob(type, params, title);
+
+    res
+      .status(202)
+      .location(`${req.baseUrl}/${job.id}`)
+      .json({ success: true, job: formatJob(job) });
+  } catch (error) {
+    console.error("Error in job creation endpoint:", error);
+    await refundQuota(req);
+    next(error);
+  }
+});
+
+// GET /jobs/:id → current job status
+router.get("/:id", async (req, res, next) => {
+  try {
+    const job = await jobService.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: `Job ${req.params.id} not found`,
+      });
+    }
+
+    res.json({ success: true, job: formatJob(job) });
+  } catch (error) {
+    console.error("Error in job status endpoint:", error);
+    next(error);
+  }
+});
+
+// GET /jobs/:id/result → transformed output of a finished job
+router.get("/:id/result", async (req, res, next) => {
+  try {
+    const job = await jobService.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: `Job ${req.params.id} not found`,
+      });
+    }
+
+    if (job.status !== "finished") {
+      return res.status(409).json({
+        error: "Job not finished",
+        message: job.error || `Job is ${job.status}`,
+        job: formatJob(job),
+      });
+    }
+
+    const data = await jobService.getJobResult(job);
+
+    if (job.type === "dem") {
+      const { geometry, coordinates, derivatives, hillshade } = job.request;
+      return res.json({
+        ...buildDemResponse(data, {
+          geometry: openeoService.maskGeometry(geometry || coordinates),
+          derivatives,
+          hillshade,
+        }),
+        job: formatJob(job),
+      });
+    }
+
+    const params = job.request;
+    res.json({
+      ...buildTimeseriesResponse(data, {
+        fields: params.geometry
+          ? openeoService.loadFields(params.geometry)
+          : null,
+        meta: timeseriesMeta(params),
+        includeRaw: params.include_raw,
+        smoothing: params.smoothing,
+      }),
+      job: formatJob(job),
+    });
+  } catch (error) {
+    console.error("Error in job result endpoint:", error);
+    next(error);
+  }
+});
+
+export default router;
@@ -1,48 +1,410 @@
 import express from "express";
-import { ndviRequestSchema } from "../validation/schema.js";
+import {
+  anomalyRequestSchema,
+  compositeRequestSchema,
+  ndviRequestSchema,
+  phenologyRequestSchema,
+  validateWith,
+  zonesRequestSchema,
+} from "../validation/schema.js";
 import openeoService from "../services/openeoService.js";
+import config from "../config.js";
+import { cacheResponse } from "../middleware/cache.js";
+import { geometryUpload } from "../middleware/geometryUpload.js";
+import { exportResponse } from "../middleware/export.js";
+import { dryRun } from "../middleware/dryRun.js";
+import { authorize, chargeQuota } from "../middleware/auth.js";
+import { timeseriesGeoJSON, timeseriesRows } from "../utils/export.js";
+import {
+  buildTimeseriesResponse,
+  timeseriesMeta,
+  timeseriesOptions,
+  transformFieldTimeseries,
+  transformTimeseriesData,
+} from "../utils/timeseries.js";
+import { smoothTimeseries } from "../utils/smoothing.js";
+import { detectSeasons } from "../utils/phenology.js";
+import { detectAnomalies, shiftYears } from "../utils/anomaly.js";
+import { rasterFilename, streamRaster } from "../utils/raster.js";
+import { delineateZones } from "../utils/zones.js";
 
 const router = express.Router();
 
-// Middleware to validate request body
-const validateRequest = (req, res, next) => {
-  const { error, value } = ndviRequestSchema.validate(req.body);
+const validateRequest = validateWith(ndviRequestSchema);
+const validatePhenologyRequest = validateWith(phenologyRequestSchema);
+const validateAnomalyRequest = validateWith(anomalyRequestSchema);
+const validateCompositeRequest = validateWith(compositeRequestSchema);
+const validateZonesRequest = validateWith(zonesRequestSchema);
 
-  if (error) {
-    return res.status(400).json({
-      error: "Validation error",
-      details: error.details.map((detail) => detail.message),
-    });
-  }
+// Process graphs of a validated request keyed by sensor, for dry runs
+const sensorOf = (body) => body.collections?.[0] || "sentinel2";
+const timeseriesGraphs = (body) =>
+  openeoService.buildNDVIProcessGraphs(
+    body.geometry ? openeoService.loadFields(body.geometry) : body.coordinates,
+    body.start_date,
+    body.end_date,
+    timeseriesOptions(body)
+  );
+const compositeGraphs = (body) => ({
+  [sensorOf(body)]: openeoService.buildCompositeProcessGraph(
+    body.geometry || body.coordinates,
+    body.start_date,
+    body.end_date,
+    {
+      ...timeseriesOptions(body),
+      composite: body.composite,
+      format: body.format,
+      quicklook: body.quicklook,
+    }
+  ),
+});
+const zonesGraphs = (body) => ({
+  [sensorOf(body)]: openeoService.buildCompositeGridProcessGraph(
+    body.geometry || openeoService.maskGeometry(body.coordinates),
+    body.start_date,
+    body.end_date,
+    { ...timeseriesOptions(body), composite: body.composite }
+  ),
+});
+
+// API key, geometry uploads (as fields or one merged polygon), validation,
+// dry runs, then the response cache (keyed on the validated body); only
+// cache misses are charged to the key's quota
+const withCache = (
+  validate,
+  route,
+  { upload = "fields", graphs = timeseriesGraphs, runs } = {}
+) => [
+  authorize("ndvi"),
+  geometryUpload(upload),
+  validate,
+  dryRun(graphs, runs),
+  cacheResponse(`ndvi-${route}`, config.CACHE_TTL_NDVI),
+  chargeQuota(),
+];
+
+// CSV, GeoJSON and NDJSON downloads of the timeseries, with the series
+// embedded in the fields' GeoJSON properties
+const exportTimeseries = exportResponse({
+  rows: timeseriesRows,
+  geojson: (body, req) =>
+    timeseriesGeoJSON(
+      body,
+      openeoService.loadFields(req.body.geometry || req.body.coordinates)
+    ),
+  filename: (req) => {
+    const meta = timeseriesMeta(req.body);
+    return [
+      meta.index.toLowerCase(),
+      "timeseries",
+      meta.startDate,
+      meta.endDate,
+    ];
+  },
+});
+const timeseriesMiddleware = [
+  authorize("ndvi"),
+  geometryUpload(),
+  validateRequest,
+  dryRun(timeseriesGraphs),
+  exportTimeseries,
+  cacheResponse("ndvi-timeseries", config.CACHE_TTL_NDVI),
+  chargeQuota(),
+];
+const phenologyMiddleware = withCache(validatePhenologyRequest, "phenology");
+// Anomaly requests run the graphs once for every period
+const anomalyMiddleware = withCache(validateAnomalyRequest, "anomaly", {
+  runs: (body) => 1 + body.baseline_years.length,
+});
+const zonesMiddleware = withCache(validateZonesRequest, "zones", {
+  upload: "polygon",
+  graphs: zonesGraphs,
+});
+// Raster downloads are not cached
+const compositeMiddleware = [
+  authorize("ndvi"),
+  geometryUpload(),
+  validateCompositeRequest,
+  dryRun(compositeGraphs),
+  chargeQuota(),
+];
 
-  req.body = value;
-  next();
+// Smooth a transformed timeseries and detect its growing seasons
+const buildPhenology = (transformed, smoothing, phenology) => {
+  const smoothed = smoothTimeseries(transformed.timeseries, smoothing);
+  const seasons = detectSeasons(smoothed.series, {
+    method: phenology.method,
+    threshold: phenology.threshold,
+    minAmplitude: phenology.min_amplitude,
+  });
+  return { seasons, summary: transformed.summary };
 };
 
 // POST /ndvi/timeseries
-router.post("/timeseries", validateRequest, async (req, res) => {
+router.post("/timeseries", timeseriesMiddleware, async (req, res, next) => {
   try {
-    const { coordinates, start_date, end_date } = req.body;
+    const {
+      coordinates,
+      geometry,
+      start_date,
+      end_date,
+      include_raw,
+      smoothing,
+    } = req.body;
+
+    // FeatureCollection requests get per-field results keyed by feature id
+    const fields = geometry ? openeoService.loadFields(geometry) : null;
 
     const result = await openeoService.getNDVITimeseries(
-      coordinates,
+      fields || coordinates,
       start_date,
-      end_date
+      end_date,
+      timeseriesOptions(req.body)
     );
 
-    res.json(result);
+    res.json(
+      buildTimeseriesResponse(result, {
+        fields,
+        meta: timeseriesMeta(req.body),
+        includeRaw: include_raw,
+        smoothing,
+      })
+    );
   } catch (error) {
     console.error("Error in NDVI timeseries endpoint:", error);
-    res.status(500).json({
-      error: "Internal server error",
-      message: error.message,
+    next(error);
+  }
+});
+
+// POST /ndvi/phenology
+router.post("/phenology", phenologyMiddleware, async (req, res, next) => {
+  try {
+    const {
+      coordinates,
+      geometry,
+      start_date,
+      end_date,
+      smoothing,
+      phenology,
+    } = req.body;
+
+    const fields = geometry ? openeoService.loadFields(geometry) : null;
+
+    const result = await openeoService.getNDVITimeseries(
+      fields || coordinates,
+      start_date,
+      end_date,
+      timeseriesOptions(req.body)
+    );
+
+    const meta = timeseriesMeta(req.body);
+    const parameters = { ...phenology, smoothing };
+
+    if (fields) {
+      const fieldResults = transformFieldTimeseries(result, fields, meta) || {};
+      const phenologyByField = {};
+      for (const [id, fieldResult] of Object.entries(fieldResults)) {
+        phenologyByField[id] = {
+          properties: fieldResult.properties,
+          ...buildPhenology(fieldResult, smoothing, phenology),
+        };
+      }
+      return res.json({ success: true, parameters, fields: phenologyByField });
+    }
+
+    const transformedData = transformTimeseriesData(result, meta);
+    res.json({
+      success: true,
+      parameters,
+      ...(transformedData &&
+        buildPhenology(transformedData, smoothing, phenology)),
+    });
+  } catch (error) {
+    console.error("Error in NDVI phenology endpoint:", error);
+    next(error);
+  }
+});
+
+// POST /ndvi/anomaly
+router.post("/anomaly", anomalyMiddleware, async (req, res, next) => {
+  try {
+    const {
+      coordinates,
+      geometry,
+      start_date,
+      end_date,
+      baseline_years,
+      anomaly_threshold,
+      smoothing,
+    } = req.body;
+
+    const fields = geometry ? openeoService.loadFields(geometry) : null;
+    const meta = timeseriesMeta(req.body);
+    const options = timeseriesOptions(req.body);
+    const startYear = start_date.getUTCFullYear();
+
+    // Requested period plus the same period in every baseline year
+    const periods = [
+      { startDate: meta.startDate, endDate: meta.endDate },
+      ...baseline_years.map((year) => ({
+        year,
+        yearOffset: startYear - year,
+        startDate: shiftYears(meta.startDate, year - startYear),
+        endDate: shiftYears(meta.endDate, year - startYear),
+      })),
+    ];
+    const results = await Promise.all(
+      periods.map((period) =>
+        openeoService.getNDVITimeseries(
+          fields || coordinates,
+          period.startDate,
+          period.endDate,
+          options
+        )
+      )
+    );
+
+    // Transformed results of one period keyed by field id; a single polygon
+    // is stored under "polygon"
+    const transformPeriod = (result, period) => {
+      const periodMeta = { ...meta, ...period };
+      return fields
+        ? transformFieldTimeseries(result, fields, periodMeta) || {}
+        : { polygon: transformTimeseriesData(result, periodMeta) };
+    };
+    const [current, ...baselines] = results.map((result, i) =>
+      transformPeriod(result, periods[i])
+    );
+
+    const analyse = (key) =>
+      detectAnomalies(
+        current[key]?.timeseries || [],
+        baselines.map((baseline, i) => ({
+          ...periods[i + 1],
+          records: baseline[key]?.timeseries || [],
+        })),
+        { threshold: anomaly_threshold, smoothing }
+      );
+
+    const parameters = { baseline_years, anomaly_threshold, smoothing };
+
+    if (fields) {
+      const anomaliesByField = {};
+      for (const [id, fieldResult] of Object.entries(current)) {
+        anomaliesByField[id] = {
+          properties: fieldResult.properties,
+          ...analyse(id),
+          summary: fieldResult.summary,
+        };
+      }
+      return res.json({ success: true, parameters, fields: anomaliesByField });
+    }
+
+    res.json({
+      success: true,
+      parameters,
+      ...analyse("polygon"),
+      summary: current.polygon?.summary,
     });
+  } catch (error) {
+    console.error("Error in NDVI anomaly endpoint:", error);
+    next(error);
+  }
+});
+
+// POST /ndvi/composite → index composite raster (GeoTIFF, netCDF or PNG)
+router.post("/composite", compositeMiddleware, async (req, res, next) => {
+  try {
+    const {
+      coordinates,
+      geometry,
+      start_date,
+      end_date,
+      composite,
+      format,
+      quicklook,
+    } = req.body;
+    const meta = timeseriesMeta(req.body);
+
+    const raster = await openeoService.getNDVIComposite(
+      geometry || coordinates,
+      start_date,
+      end_date,
+      {
+        ...timeseriesOptions(req.body),
+        composite,
+        format,
+        quicklook,
+      }
+    );
+
+    streamRaster(
+      res,
+      raster,
+      format,
+      rasterFilename(
+        [meta.index.toLowerCase(), composite, meta.startDate, meta.endDate],
+        format
+      )
+    );
+  } catch (error) {
+    console.error("Error in NDVI composite endpoint:", error);
+    next(error);
+  }
+});
+
+// POST /ndvi/zones → management zones from the per-pixel index composite
+router.post("/zones", zonesMiddleware, async (req, res, next) => {
+  try {
+    const {
+      coordinates,
+      geometry,
+      start_date,
+      end_date,
+      composite,
+      zones,
+      method,
+    } = req.body;
+    const meta = timeseriesMeta(req.body);
+    const field = geometry || openeoService.maskGeometry(coordinates);
+
+    const grid = await openeoService.getNDVICompositeGrid(
+      field,
+      start_date,
+      end_date,
+      {
+        ...timeseriesOptions(req.body),
+        composite,
+      }
+    );
+    const result = delineateZones(grid, { zones, method, geometry: field });
+
+    res.json({
+      success: true,
+      zones: result.zones,
+      summary: {
+        index: meta.index,
+        composite,
+        start_date: meta.startDate,
+        end_date: meta.endDate,
+        ...result.summary,
+      },
+    });
+  } catch (error) {
+    console.error("Error in NDVI zones endpoint:", error);
+    next(error);
   }
 });
 
 // Health check endpoint
 router.get("/health", (req, res) => {
-  res.json({ status: "OK", timestamp: new Date().toISOString() });
+  // Reported degraded while the openEO circuit breaker is open
+  const openeo = openeoService.getConnectionState();
+  res.json({
+    status: openeo.state === "open" ? "DEGRADED" : "OK",
+    timestamp: new Date().toISOString(),
+    openeo,
+  });
 });
 
 export default router;
@@ -0,0 +1,80 @@
+import express from "express";
+import { sarRequestSchema, validateWith } from "../validation/schema.js";
+import openeoService from "../services/openeoService.js";
+import config from "../config.js";
+import { cacheResponse } from "../middleware/cache.js";
+import { geometryUpload } from "../middleware/geometryUpload.js";
+import { exportResponse } from "../middleware/export.js";
+import { authorize, chargeQuota } from "../middleware/auth.js";
+import { timeseriesGeoJSON, timeseriesRows } from "../utils/export.js";
+import { buildTimeseriesResponse } from "../utils/timeseries.js";
+import { sarMeta } from "../utils/sar.js";
+
+const router = express.Router();
+
+const validateSarRequest = validateWith(sarRequestSchema);
+
+// Same downloads as the NDVI timeseries
+const exportSarTimeseries = exportResponse({
+  rows: timeseriesRows,
+  geojson: (body, req) =>
+    timeseriesGeoJSON(
+      body,
+      openeoService.loadFields(req.body.geometry || req.body.coordinates)
+    ),
+  filename: (req) => {
+    const meta = sarMeta(req.body);
+    return ["rvi", "timeseries", meta.startDate, meta.endDate];
+  },
+});
+
+const sarTimeseriesMiddleware = [
+  authorize("sar"),
+  geometryUpload(),
+  validateSarRequest,
+  exportSarTimeseries,
+  cacheResponse("sar-timeseries", config.CACHE_TTL_SAR),
+  chargeQuota(),
+];
+
+// POST /sar/timeseries → Sentinel-1 radar vegetation index and VH/VV ratio
+// per date, in the NDVI timeseries response shape
+router.post("/timeseries", sarTimeseriesMiddleware, async (req, res, next) => {
+  try {
+    const {
+      coordinates,
+      geometry,
+      start_date,
+      end_date,
+      polarization,
+      orbit_direction,
+      include_raw,
+      smoothing,
+    } = req.body;
+
+    const fields = geometry ? openeoService.loadFields(geometry) : null;
+
+    const result = await openeoService.getSARTimeseries(
+      fields || coordinates,
+      start_date,
+      end_date,
+      { polarization, orbitDirection: orbit_direction }
+    );
+
+    const response = buildTimeseriesResponse(result, {
+      fields,
+      meta: sarMeta(req.body),
+      includeRaw: include_raw,
+      smoothing,
+    });
+    if (response.summary) {
+      Object.assign(response.summary, { polarization, orbit_direction });
+    }
+    res.json(response);
+  } catch (error) {
+    console.error("Error in SAR timeseries endpoint:", error);
+    next(error);
+  }
+});
+
+export default router;
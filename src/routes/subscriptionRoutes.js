@@ -0,0 +1,182 @@
+import express from "express";
+import {
+  subscriptionRequestSchema,
+  subscriptionUpdateSchema,
+  validateWith,
+} from "../validation/schema.js";
+import subscriptionService from "../services/subscriptionService.js";
+import { authorize } from "../middleware/auth.js";
+import { resolveWebhookHost } from "../utils/webhook.js";
+
+const router = express.Router();
+
+router.use(authorize("subscriptions"));
+
+// Webhooks must resolve to public addresses (unless WEBHOOK_ALLOW_PRIVATE);
+// checked here and again on every delivery attempt
+const checkWebhookUrl = async (req, res, next) => {
+  if (!req.body.webhook_url) {
+    return next();
+  }
+  try {
+    await resolveWebhookHost(new URL(req.body.webhook_url).hostname);
+  } catch (error) {
+    return res.status(400).json({
+      error: "Validation error",
+      details: [`"webhook_url" ${error.message}`],
+    });
+  }
+  next();
+};
+
+const notFound = (res, id) =>
+  res.status(404).json({
+    error: "Not Found",
+    message: `Subscription ${id} not found`,
+  });
+
+// POST /subscriptions → create a subscription; the webhook signing secret
+// is only returned here
+router.post(
+  "/",
+  validateWith(subscriptionRequestSchema),
+  checkWebhookUrl,
+  async (req, res, next) => {
+    try {
+      const subscription = await subscriptionService.createSubscription(
+        req.body,
+        req.apiKey
+      );
+
+      res
+        .status(201)
+        .location(`${req.baseUrl}/${subscription.id}`)
+        .json({ success: true, subscription });
+    } catch (error) {
+      console.error("Error in subscription creation endpoint:", error);
+      next(error);
+    }
+  }
+);
+
+// GET /subscriptions → the key's subscriptions (all of them for admin keys)
+router.get("/", async (req, res, next) => {
+  try {
+    const subscriptions = await subscriptionService.listSubscriptions(
+      req.apiKey
+    );
+
+    res.json({ success: true, subscriptions });
+  } catch (error) {
+    console.error("Error in subscription list endpoint:", error);
+    next(error);
+  }
+});
+
+// GET /subscriptions/:id → subscription state
+router.get("/:id", async (req, res, next) => {
+  try {
+    const subscription = await subscriptionService.getSubscription(
+      req.params.id,
+      req.apiKey
+    );
+    if (!subscription) {
+      return notFound(res, req.params.id);
+    }
+
+    res.json({ success: true, subscription });
+  } catch (error) {
+    console.error("Error in subscription status endpoint:", error);
+    next(error);
+  }
+});
+
+// PATCH /subscriptions/:id → pause/resume, schedule, rules or webhook
+router.patch(
+  "/:id",
+  validateWith(subscriptionUpdateSchema),
+  checkWebhookUrl,
+  async (req, res, next) => {
+    try {
+      const subscription = await subscriptionService.updateSubscription(
+        req.params.id,
+        req.body,
+        req.apiKey
+      );
+      if (!subscription) {
+        return notFound(res, req.params.id);
+      }
+
+      res.json({ success: true, subscription });
+    } catch (error) {
+      console.error("Error in subscription update endpoint:", error);
+      next(error);
+    }
+  }
+);
+
+// DELETE /subscriptions/:id → delete a subscription and its delivery log
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const deleted = await subscriptionService.deleteSubscription(
+      req.params.id,
+      req.apiKey
+    );
+    if (!deleted) {
+      return notFound(res, req.params.id);
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error in subscription deletion endpoint:", error);
+    next(error);
+  }
+});
+
+// POST /subscriptions/:id/run → run now instead of waiting for the schedule
+router.post("/:id/run", async (req, res, next) => {
+  try {
+    const subscription = await subscriptionService.getSubscription(
+      req.params.id,
+      req.apiKey
+    );
+    if (!subscription) {
+      return notFound(res, req.params.id);
+    }
+
+    const result = await subscriptionService.runSubscription(subscription.id);
+    // Deleted while it ran
+    if (!result) {
+      return notFound(res, req.params.id);
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Error in subscription run endpoint:", error);
+    next(error);
+  }
+});
+
+// GET /subscriptions/:id/deliveries → webhook delivery log, newest first
+router.get("/:id/deliveries", async (req, res, next) => {
+  try {
+    const subscription = await subscriptionService.getSubscription(
+      req.params.id,
+      req.apiKey
+    );
+    if (!subscription) {
+      return notFound(res, req.params.id);
+    }
+
+    const deliveries = await subscriptionService.listDeliveries(
+      subscription.id
+    );
+
+    res.json({ success: true, deliveries });
+  } catch (error) {
+    console.error("Error in subscription deliveries endpoint:", error);
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,26 @@
+import express from "express";
+import apiKeyService from "../services/apiKeyService.js";
+import { authorize } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// GET /usage → limits, today's usage and the last 30 days of the calling key
+router.get("/", authorize(), async (req, res, next) => {
+  try {
+    if (!req.apiKey) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "API key authentication is disabled",
+      });
+    }
+
+    const usage = await apiKeyService.getUsage(req.apiKey);
+
+    res.json({ success: true, ...usage });
+  } catch (error) {
+    console.error("Error in usage endpoint:", error);
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,254 @@
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from "crypto";
+import config from "../config.js";
+import { createApiKeyStore } from "../stores/apiKeyStore.js";
+import { RateLimitError } from "../utils/errors.js";
+
+// Route scopes a key can be granted; "admin" grants every scope and the key
+// management routes
+const SCOPES = [
+  "ndvi",
+  "sar",
+  "dem",
+  "jobs",
+  "subscriptions",
+  "geometry",
+  "cache",
+  "admin",
+];
+const DEFAULT_SCOPES = [
+  "ndvi",
+  "sar",
+  "dem",
+  "jobs",
+  "subscriptions",
+  "geometry",
+];
+
+const KEY_PREFIX = "gk_";
+const RATE_WINDOW_MS = 60 * 1000;
+
+const hashKey = (key) => createHash("sha256").update(key).digest("hex");
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Seconds until the next UTC midnight, when daily quotas reset
+const secondsUntilTomorrow = () => {
+  const midnight = new Date();
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((midnight - Date.now()) / 1000);
+};
+
+// Public representation of a stored key (never the hash)
+const formatKey = ({ key_hash, ...key }) => key;
+
+class ApiKeyService {
+  constructor(store) {
+    this.store = store;
+    // key id -> { windowStart, count }; per process, fixed one-minute windows
+    this.windows = new Map();
+    this.adminKeyHash = config.ADMIN_API_KEY
+      ? Buffer.from(hashKey(config.ADMIN_API_KEY), "hex")
+      : null;
+  }
+
+  // Create a key; the secret is only ever returned here. Limits default to
+  // DEFAULT_RATE_LIMIT_PER_MINUTE and DEFAULT_DAILY_QUOTA_HA_DAYS.
+  async createKey({
+    name,
+    scopes = DEFAULT_SCOPES,
+    rate_limit_per_minute: rateLimit,
+    daily_quota_ha_days: dailyQuota,
+  }) {
+    const secret = `${KEY_PREFIX}${randomBytes(24).toString("base64url")}`;
+    const key = await this.store.create({
+      id: randomUUID(),
+      name,
+      prefix: secret.slice(0, KEY_PREFIX.length + 6),
+      key_hash: hashKey(secret),
+      scopes,
+      rate_limit_per_minute: rateLimit ?? config.DEFAULT_RATE_LIMIT_PER_MINUTE,
+      daily_quota_ha_days: dailyQuota ?? config.DEFAULT_DAILY_QUOTA_HA_DAYS,
+      created_at: new Date().toISOString(),
+      revoked_at: null,
+      last_used_at: null,
+    });
+    return { key: secret, ...formatKey(key) };
+  }
+
+  async getKey(id) {
+    const key = await this.store.get(id);
+    return key ? formatKey(key) : null;
+  }
+
+  async listKeys() {
+    const keys = await this.store.list();
+    return keys
+      .map(formatKey)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  async revokeKey(id) {
+    const key = await this.store.get(id);
+    if (!key) {
+      return null;
+    }
+    if (key.revoked_at) {
+      return formatKey(key);
+    }
+    return formatKey(
+      await this.store.update(id, { revoked_at: new Date().toISOString() })
+    );
+  }
+
+  /**
+   * Key record for a presented secret; null when unknown or revoked. The
+   * ADMIN_API_KEY from the environment is a built-in admin key without
+   * rate limit or quota.
+   */
+  async authenticate(secret) {
+    const hash = hashKey(secret);
+    if (
+      this.adminKeyHash &&
+      timingSafeEqual(Buffer.from(hash, "hex"), this.adminKeyHash)
+    ) {
+      return {
+        id: "admin",
+        name: "ADMIN_API_KEY",
+        scopes: ["admin"],
+        rate_limit_per_minute: 0,
+        daily_quota_ha_days: 0,
+        builtin: true,
+      };
+    }
+
+    const key = await this.store.findByHash(hash);
+    if (!key || key.revoked_at) {
+      return null;
+    }
+    return formatKey(key);
+  }
+
+  /**
+   * Whether keys can be managed at all: authentication is off, ADMIN_API_KEY
+   * is set or the store holds an unrevoked admin key. Without one, every
+   * request is refused and no key can ever be created.
+   */
+  async hasAdminAccess() {
+    if (!config.AUTH_ENABLED || this.adminKeyHash) {
+      return true;
+    }
+    const keys = await this.store.list();
+    return keys.some((key) => !key.revoked_at && key.scopes.includes("admin"));
+  }
+
+  hasScope(key, scope) {
+    return key.scopes.includes(scope) || key.scopes.includes("admin");
+  }
+
+  /**
+   * Count a request against the key's per-minute rate limit (0 for none).
+   * Returns { limit, remaining, reset } for the RateLimit headers, or throws
+   * a RateLimitError when the limit is used up.
+   */
+  consumeRateLimit(key) {
+    const limit = key.rate_limit_per_minute;
+    if (!limit) {
+      return null;
+    }
+
+    const now = Date.now();
+    let window = this.windows.get(key.id);
+    if (!window || now - window.windowStart >= RATE_WINDOW_MS) {
+      window = { windowStart: now, count: 0 };
+      this.windows.set(key.id, window);
+    }
+    const reset = Math.ceil((window.windowStart + RATE_WINDOW_MS - now) / 1000);
+    if (window.count >= limit) {
+      throw new RateLimitError(
+        `Rate limit of ${limit} requests per minute exceeded`,
+        { retryAfter: reset }
+      );
+    }
+    window.count += 1;
+    return { limit, remaining: limit - window.count, reset };
+  }
+
+  async recordRequest(key) {
+    if (key.builtin) {
+      return;
+    }
+    await this.store.addUsage(key.id, today(), { requests: 1 });
+    await this.store.update(key.id, { last_used_at: new Date().toISOString() });
+  }
+
+  /**
+   * Charge processing (hectares × days) to the key's daily quota (0 for
+   * none). Throws a RateLimitError with code "quota_exceeded" when the
+   * request would exceed it; nothing is charged then.
+   */
+  async chargeQuota(key, areaHaDays) {
+    if (key.builtin) {
+      return;
+    }
+    // Charge first and take it back when over quota, so concurrent requests
+    // cannot both pass the check
+    const date = today();
+    const entry = await this.store.addUsage(key.id, date, {
+      area_ha_days: areaHaDays,
+    });
+    const quota = key.daily_quota_ha_days;
+    if (quota && entry.area_ha_days > quota) {
+      await this.store.addUsage(key.id, date, { area_ha_days: -areaHaDays });
+      const remaining = Math.max(0, quota - (entry.area_ha_days - areaHaDays));
+      throw new RateLimitError(
+        `Request of ${areaHaDays} ha × days exceeds the remaining daily quota ` +
+          `(${Math.round(remaining)} of ${quota} ha × days)`,
+        { code: "quota_exceeded", retryAfter: secondsUntilTomorrow() }
+      );
+    }
+  }
+
+  // Give back processing charged by chargeQuota for work that did not run
+  async refundQuota(key, areaHaDays) {
+    if (key.builtin) {
+      return;
+    }
+    await this.store.addUsage(key.id, today(), { area_ha_days: -areaHaDays });
+  }
+
+  // Key limits with today's usage and the daily history of the last `days`
+  async getUsage(key, days = 30) {
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000)
+      .toISOString()
+      .slice(0, 10);
+    const history = key.builtin ? [] : await this.store.usage(key.id, since);
+    const current = history.find((entry) => entry.date === today()) || {
+      date: today(),
+      requests: 0,
+      area_ha_days: 0,
+    };
+    const quota = key.daily_quota_ha_days;
+    return {
+      key: {
+        id: key.id,
+        name: key.name,
+        scopes: key.scopes,
+        rate_limit_per_minute: key.rate_limit_per_minute || null,
+        daily_quota_ha_days: quota || null,
+      },
+      today: {
+        ...current,
+        remaining_ha_days: quota
+          ? Math.max(0, Math.round((quota - current.area_ha_days) * 100) / 100)
+          : null,
+      },
+      history,
+    };
+  }
+}
+
+const apiKeyService = new ApiKeyService(
+  createApiKeyStore(config.API_KEY_STORE, { path: config.API_KEY_STORE_PATH })
+);
+export { DEFAULT_SCOPES, SCOPES };
+export default apiKeyService;
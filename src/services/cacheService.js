@@ -0,0 +1,88 @@
+import { createHash } from "crypto";
+import config from "../config.js";
+import { createCacheStore } from "../stores/cacheStore.js";
+
+// Coordinates and parameters are rounded to 7 decimals (~1 cm) so equivalent
+// requests share a cache entry
+const PRECISION = 1e7;
+
+// Canonical form of a request: sorted keys, rounded numbers, ISO dates
+const normalize = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .filter((key) => value[key] !== undefined)
+        .map((key) => [key, normalize(value[key])])
+    );
+  }
+  if (typeof value === "number") {
+    return Math.round(value * PRECISION) / PRECISION;
+  }
+  return value;
+};
+
+const sha1 = (text) => createHash("sha1").update(text).digest("hex");
+
+class CacheService {
+  constructor(store) {
+    this.store = store;
+  }
+
+  // "<namespace>:<hash>" of the normalized request; the provider is part of
+  // the hash because backends may return different results
+  key(namespace, params) {
+    const canonical = JSON.stringify(
+      normalize({ provider: config.OPENEO_PROVIDER, params })
+    );
+    return `${namespace}:${sha1(canonical)}`;
+  }
+
+  etag(body) {
+    return `"${sha1(JSON.stringify(body))}"`;
+  }
+
+  // Cache failures never fail a request; they only cost a recomputation
+  async get(key) {
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      console.warn(`Cache read failed for ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  async set(key, body, ttlSeconds, etag = this.etag(body)) {
+    const entry = {
+      body,
+      etag,
+      created_at: new Date().toISOString(),
+    };
+    try {
+      await this.store.set(key, entry, ttlSeconds);
+    } catch (error) {
+      console.warn(`Cache write failed for ${key}:`, error.message);
+    }
+    return entry;
+  }
+
+  // Remove every entry, or only those of one namespace
+  async purge(namespace) {
+    return this.store.clear(namespace ? `${namespace}:` : "");
+  }
+}
+
+const cacheService = new CacheService(
+  createCacheStore(config.CACHE_STORE, {
+    path: config.CACHE_PATH,
+    url: config.REDIS_URL,
+    maxEntries: config.CACHE_MAX_ENTRIES,
+  })
+);
+export default cacheService;
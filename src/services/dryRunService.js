@@ -0,0 +1,135 @@
+import openeoService from "./openeoService.js";
+import { processingSize, processingUsage } from "../utils/usage.js";
+
+const DURATION_UNITS = { D: 86400, H: 3600, M: 60, S: 1 };
+
+// Seconds of an ISO 8601 duration ("P1DT2H30M"); null when not parseable
+const durationSeconds = (duration) => {
+  const match =
+    /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(
+      String(duration)
+    );
+  if (!match) return null;
+  return Object.values(DURATION_UNITS).reduce(
+    (sum, unit, i) => sum + Number(match[i + 1] || 0) * unit,
+    0
+  );
+};
+
+/**
+ * Dry runs: checks what a request would run on openEO without executing it.
+ * Each process graph is checked against the provider's processes, validated
+ * by the backend (POST /validation) and, when valid, estimated as a batch
+ * job (GET /jobs/{id}/estimate). Backends without validation or estimates
+ * only produce warnings.
+ */
+class DryRunService {
+  async checkProcessGraph(name, processGraph) {
+    const capabilities = await openeoService.getCapabilities();
+    const errors = [];
+    const warnings = [];
+
+    try {
+      await openeoService.assertSupported(processGraph);
+    } catch (error) {
+      errors.push({ code: error.code, message: error.message });
+    }
+
+    let validated = false;
+    if (capabilities?.validation === false) {
+      warnings.push(
+        `${openeoService.provider.title} does not validate process graphs`
+      );
+    } else {
+      try {
+        const reported = await openeoService.validateProcessGraph(processGraph);
+        errors.push(
+          ...reported.map(({ code, message }) => ({ code, message }))
+        );
+        validated = true;
+      } catch (error) {
+        warnings.push(`Process graph not validated: ${error.message}`);
+      }
+    }
+
+    let estimate = null;
+    if (errors.length > 0) {
+      warnings.push(`No estimate for the invalid process graph ${name}`);
+    } else if (capabilities?.estimates === false) {
+      warnings.push(
+        `${openeoService.provider.title} does not estimate batch jobs`
+      );
+    } else {
+      try {
+        estimate = await openeoService.estimateBatchJob(
+          processGraph,
+          `Dry run ${name}`
+        );
+      } catch (error) {
+        warnings.push(`No batch job estimate: ${error.message}`);
+      }
+    }
+
+    return { name, processGraph, validated, errors, warnings, estimate };
+  }
+
+  /**
+   * Dry run response for a validated request body and its process graphs
+   * keyed by sensor or DEM product. `runs` is how often each graph is
+   * executed (anomaly requests run it once per period), which scales the
+   * costs.
+   */
+  async run(processGraphs, body, { runs = 1 } = {}) {
+    // One after the other; every check may create a job on the backend
+    const checks = [];
+    for (const [name, processGraph] of Object.entries(processGraphs)) {
+      checks.push(await this.checkProcessGraph(name, processGraph));
+    }
+
+    const estimates = checks.map((check) => check.estimate);
+    const costs = estimates.map((estimate) => estimate?.costs);
+    const durations = estimates
+      .map((estimate) => estimate?.duration)
+      .filter((duration) => durationSeconds(duration) !== null);
+
+    return {
+      success: true,
+      dry_run: true,
+      valid: checks.every((check) => check.errors.length === 0),
+      validated: checks.every((check) => check.validated),
+      process_graphs: Object.fromEntries(
+        checks.map((check) => [check.name, check.processGraph])
+      ),
+      errors: checks.flatMap((check) =>
+        check.errors.map((error) => ({ process_graph: check.name, ...error }))
+      ),
+      warnings: [...new Set(checks.flatMap((check) => check.warnings))],
+      estimate: {
+        ...processingUsage(body),
+        sources: processingSize(body),
+        runs,
+        // Backend currency (usually credits); null unless every graph has one
+        costs: costs.every(Number.isFinite)
+          ? Math.round(
+              costs.reduce((sum, value) => sum + value, 0) * runs * 100
+            ) / 100
+          : null,
+        // Graphs run in parallel: the longest one
+        duration:
+          durations.length === checks.length
+            ? durations.reduce((longest, duration) =>
+                durationSeconds(duration) > durationSeconds(longest)
+                  ? duration
+                  : longest
+              )
+            : null,
+        openeo: Object.fromEntries(
+          checks.map((check) => [check.name, check.estimate])
+        ),
+      },
+    };
+  }
+}
+
+const dryRunService = new DryRunService();
+export default dryRunService;
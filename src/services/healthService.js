@@ -0,0 +1,193 @@
+import config from "../config.js";
+import openeoService from "./openeoService.js";
+import { fromOpenEOError } from "../utils/errors.js";
+
+const startedAt = Date.now();
+
+// Run a readiness check: { status: "ok" | "fail", latency_ms, ...details }
+const timed = async (check) => {
+  const start = Date.now();
+  try {
+    const details = await check();
+    return { status: "ok", latency_ms: Date.now() - start, ...details };
+  } catch (error) {
+    return {
+      status: "fail",
+      latency_ms: Date.now() - start,
+      ...(error.code && { code: error.code }),
+      message: error.message,
+    };
+  }
+};
+
+const skipped = (message) => ({ status: "skipped", message });
+
+/**
+ * Liveness and readiness of the API. Liveness only says the process serves
+ * requests; readiness checks the openEO backend: capabilities, the access
+ * token, the collections the routes use and the circuit breaker. Backend
+ * checks are cached for HEALTH_CACHE_TTL_MS so frequent probes do not load
+ * the backend; the breaker state is always current.
+ */
+class HealthService {
+  constructor() {
+    this.result = null;
+    this.checkedAt = 0;
+    this.running = null;
+  }
+
+  liveness() {
+    return {
+      status: "OK",
+      timestamp: new Date().toISOString(),
+      uptime_s: Math.round((Date.now() - startedAt) / 1000),
+    };
+  }
+
+  // Collections the NDVI (Sentinel-2, Landsat), SAR and configured DEM
+  // products are read from
+  requiredCollections() {
+    const {
+      sentinel2,
+      landsat,
+      sentinel1,
+      dem = {},
+    } = openeoService.provider.collections;
+    return [
+      ...new Set([sentinel2, landsat, sentinel1, ...Object.values(dem)]),
+    ].filter(Boolean);
+  }
+
+  // Health checks fail fast and are never retried; a probe timing out must
+  // not wait for backoff
+  async request(path, options = {}) {
+    try {
+      return await openeoService.http.get(`${openeoService.baseURL}${path}`, {
+        ...options,
+        timeout: config.HEALTH_CHECK_TIMEOUT_MS,
+        retry: false,
+      });
+    } catch (error) {
+      throw fromOpenEOError(error, `OpenEO request GET ${path} failed`);
+    }
+  }
+
+  async runChecks() {
+    const capabilities = await timed(async () => {
+      const response = await this.request("/");
+      return {
+        api_version: response.data.api_version,
+        backend_version: response.data.backend_version,
+      };
+    });
+    if (capabilities.status === "fail") {
+      const message = "OpenEO backend unreachable";
+      return {
+        capabilities,
+        token: skipped(message),
+        collections: skipped(message),
+      };
+    }
+
+    // GET /me accepts only a valid token
+    const token =
+      openeoService.provider.auth.method === "none"
+        ? skipped("Backend without authentication")
+        : await timed(async () => {
+            try {
+              await this.request("/me", { authenticate: true });
+            } catch (error) {
+              // Getting the token worked; the backend just cannot verify it
+              if (error.upstream?.status !== 404) {
+                throw error;
+              }
+            }
+            return {};
+          });
+
+    const collections = await timed(async () => {
+      const ids = this.requiredCollections();
+      const missing = [];
+      for (const id of ids) {
+        try {
+          await this.request(`/collections/${encodeURIComponent(id)}`, {
+            authenticate: token.status === "ok",
+          });
+        } catch (error) {
+          if (error.upstream?.status !== 404) {
+            throw error;
+          }
+          missing.push(id);
+        }
+      }
+      if (missing.length > 0) {
+        throw new Error(`Collections not found: ${missing.join(", ")}`);
+      }
+      return { collections: ids };
+    });
+
+    return { capabilities, token, collections };
+  }
+
+  // Cached backend checks; concurrent probes share one run
+  async backendChecks() {
+    if (
+      this.result &&
+      Date.now() - this.checkedAt < config.HEALTH_CACHE_TTL_MS
+    ) {
+      return { checks: this.result, checkedAt: this.checkedAt, cached: true };
+    }
+    if (!this.running) {
+      this.running = this.runChecks()
+        .then((result) => {
+          this.result = result;
+          this.checkedAt = Date.now();
+          return result;
+        })
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    const checks = await this.running;
+    return { checks, checkedAt: this.checkedAt, cached: false };
+  }
+
+  async readiness() {
+    // An open breaker already says the backend is down; checking it would
+    // only fail fast
+    const { checks, checkedAt, cached } =
+      openeoService.getConnectionState().state === "open"
+        ? {
+            checks: {
+              capabilities: skipped("Circuit breaker open"),
+              token: skipped("Circuit breaker open"),
+              collections: skipped("Circuit breaker open"),
+            },
+            checkedAt: Date.now(),
+            cached: false,
+          }
+        : await this.backendChecks();
+
+    // Taken after the checks, which may have opened the breaker
+    const breaker = openeoService.getConnectionState();
+    const all = {
+      ...checks,
+      circuit_breaker: {
+        status: breaker.state === "open" ? "fail" : "ok",
+        ...breaker,
+      },
+    };
+    const ready = Object.values(all).every((check) => check.status !== "fail");
+    return {
+      status: ready ? "READY" : "NOT_READY",
+      timestamp: new Date().toISOString(),
+      checked_at: new Date(checkedAt).toISOString(),
+      cached,
+      provider: openeoService.provider.name,
+      checks: all,
+    };
+  }
+}
+
+const healthService = new HealthService();
+export default healthService;
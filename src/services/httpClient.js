@@ -0,0 +1,213 @@
+import axios from "axios";
+import { CircuitOpenError, retryAfterOf } from "../utils/errors.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Failures that say nothing about the request itself: no response (network
+// error, timeout), rate limiting and server errors
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  return !error.response || status === 429 || status >= 500;
+};
+
+const IDEMPOTENT_METHODS = ["get", "head", "options", "put", "delete"];
+
+/**
+ * Circuit breaker: after `threshold` consecutive failures the circuit opens
+ * and requests fail fast for `resetMs`; then one trial request is let
+ * through (half-open) and its outcome closes or re-opens the circuit.
+ */
+class CircuitBreaker {
+  constructor({ threshold = 5, resetMs = 30000 } = {}) {
+    this.threshold = threshold;
+    this.resetMs = resetMs;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  get state() {
+    if (this.openedAt === null) {
+      return "closed";
+    }
+    return Date.now() - this.openedAt >= this.resetMs ? "half_open" : "open";
+  }
+
+  // Throw when the circuit does not let a request through
+  acquire() {
+    const state = this.state;
+    if (state === "closed") {
+      return;
+    }
+    if (state === "half_open" && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return;
+    }
+    const retryAfter = Math.max(
+      1,
+      Math.ceil((this.openedAt + this.resetMs - Date.now()) / 1000)
+    );
+    throw new CircuitOpenError(
+      `OpenEO backend unavailable after ${this.failures} consecutive failures`,
+      { retryAfter }
+    );
+  }
+
+  success() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  failure() {
+    this.failures += 1;
+    this.trialInFlight = false;
+    if (this.openedAt !== null || this.failures >= this.threshold) {
+      if (this.openedAt === null) {
+        console.warn(
+          `OpenEO circuit opened after ${this.failures} consecutive failures`
+        );
+      }
+      this.openedAt = Date.now();
+    }
+  }
+
+  // State for health checks
+  snapshot() {
+    const state = this.state;
+    return {
+      state,
+      consecutive_failures: this.failures,
+      ...(this.openedAt !== null && {
+        opened_at: new Date(this.openedAt).toISOString(),
+        retry_at: new Date(this.openedAt + this.resetMs).toISOString(),
+      }),
+    };
+  }
+}
+
+/**
+ * axios wrapper for the openEO backend: request timeouts, exponential backoff
+ * with jitter on network errors, 429 and 5xx (honouring Retry-After), a
+ * circuit breaker, and bearer authentication with one re-authentication and
+ * retry on 401.
+ *
+ * Per-request options on top of the axios config:
+ * - authenticate: send `Authorization: Bearer <getToken()>`
+ * - retry: false for requests that must not be repeated (e.g. creating a
+ *   batch job, where a lost response may still have created it)
+ * - idempotent: whether a request without a response (network error,
+ *   timeout) may be repeated; defaults to true for GET, HEAD, OPTIONS, PUT
+ *   and DELETE. A timed out POST /result may still be computing, and sending
+ *   it again starts (and bills) the computation once more.
+ */
+class HttpClient {
+  constructor(options = {}) {
+    this.timeout = options.timeout ?? 0;
+    this.retries = options.retries ?? 3;
+    this.retryBaseMs = options.retryBaseMs ?? 1000;
+    this.retryMaxMs = options.retryMaxMs ?? 30000;
+    this.breaker = options.breaker || new CircuitBreaker();
+    // async (rejected) => token or null; `rejected` is a token the backend
+    // answered 401 to, which must not be returned again
+    this.getToken = options.getToken || (async () => null);
+  }
+
+  // Exponential backoff with jitter, or the server's Retry-After;
+  // null when Retry-After asks for longer than retryMaxMs
+  retryDelay(attempt, error) {
+    const retryAfter = retryAfterOf(error);
+    if (retryAfter !== null) {
+      const ms = retryAfter * 1000;
+      return ms <= this.retryMaxMs ? ms : null;
+    }
+    const backoff = Math.min(this.retryMaxMs, this.retryBaseMs * 2 ** attempt);
+    return Math.round(backoff / 2 + (Math.random() * backoff) / 2);
+  }
+
+  async request(config) {
+    const {
+      authenticate = false,
+      retry = true,
+      idempotent = IDEMPOTENT_METHODS.includes(
+        (config.method || "get").toLowerCase()
+      ),
+      ...axiosConfig
+    } = config;
+    let rejected = null;
+
+    for (let attempt = 0; ; attempt++) {
+      // Before taking the (half-open trial) slot: fetching a token is a
+      // request of its own and must not hold it
+      const token = authenticate ? await this.getToken(rejected) : null;
+      this.breaker.acquire();
+
+      try {
+        const response = await axios.request({
+          timeout: this.timeout,
+          ...axiosConfig,
+          headers: {
+            ...axiosConfig.headers,
+            ...(token && { Authorization: `Bearer ${token}` }),
+          },
+        });
+        this.breaker.success();
+        return response;
+      } catch (error) {
+        // Unconsumed error streams (responseType "stream") hold the socket
+        const discard = () => error.response?.data?.destroy?.();
+
+        if (!isRetryable(error)) {
+          // The backend answered; only outages and server errors trip the
+          // breaker, not rejected requests or rate limiting
+          this.breaker.success();
+          if (
+            error.response.status === 401 &&
+            authenticate &&
+            token &&
+            !rejected
+          ) {
+            // Expired or revoked token: authenticate again, once
+            rejected = token;
+            discard();
+            attempt--;
+            continue;
+          }
+          throw error;
+        }
+
+        if (error.response?.status === 429) {
+          this.breaker.success();
+        } else {
+          this.breaker.failure();
+        }
+        const delay =
+          retry && (error.response || idempotent) && attempt < this.retries
+            ? this.retryDelay(attempt, error)
+            : null;
+        if (delay === null || this.breaker.state !== "closed") {
+          throw error;
+        }
+        console.warn(
+          `OpenEO request ${axiosConfig.method || "get"} ${axiosConfig.url} failed (${error.message}), retry ${attempt + 1}/${this.retries} in ${delay} ms`
+        );
+        discard();
+        await sleep(delay);
+      }
+    }
+  }
+
+  get(url, config = {}) {
+    return this.request({ ...config, method: "get", url });
+  }
+
+  post(url, data, config = {}) {
+    return this.request({ ...config, method: "post", url, data });
+  }
+
+  delete(url, config = {}) {
+    return this.request({ ...config, method: "delete", url });
+  }
+}
+
+export { CircuitBreaker, HttpClient };
@@ -0,0 +1,88 @@
+import { randomUUID } from "crypto";
+import config from "../config.js";
+import openeoService from "./openeoService.js";
+import { createJobStore } from "../stores/jobStore.js";
+import { timeseriesOptions } from "../utils/timeseries.js";
+
+// openEO job statuses after which polling stops
+const TERMINAL_STATUSES = ["finished", "error", "canceled"];
+
+class JobService {
+  constructor(store) {
+    this.store = store;
+  }
+
+  // Build the process graph for an NDVI or DEM request (validated params)
+  async buildProcessGraph(type, params) {
+    if (type === "dem") {
+      return openeoService.buildDEMClipProcessGraph(
+        params.geometry || params.coordinates,
+        params.product
+      );
+    }
+
+    return openeoService.buildNDVIProcessGraph(
+      params.geometry
+        ? openeoService.loadFields(params.geometry)
+        : params.coordinates,
+      params.start_date,
+      params.end_date,
+      timeseriesOptions(params)
+    );
+  }
+
+  async createJob(type, params, title) {
+    const processGraph = await this.buildProcessGraph(type, params);
+    const jobTitle = title || `${type.toUpperCase()} job`;
+    const openeoJobId = await openeoService.createBatchJob(
+      processGraph,
+      jobTitle
+    );
+
+    const now = new Date().toISOString();
+    return this.store.create({
+      id: randomUUID(),
+      type,
+      title: jobTitle,
+      status: "queued",
+      openeo_job_id: openeoJobId,
+      request: params,
+      error: null,
+      created_at: now,
+      updated_at: now,
+    });
+  }
+
+  // Return the job, refreshing its status from openEO while it is running
+  async getJob(id) {
+    const job = await this.store.get(id);
+    if (!job || TERMINAL_STATUSES.includes(job.status)) {
+      return job;
+    }
+
+    const remote = await openeoService.getBatchJob(job.openeo_job_id);
+    const changes = {};
+    if (remote.status && remote.status !== job.status) {
+      changes.status = remote.status;
+    }
+    if (remote.progress !== undefined) {
+      changes.progress = remote.progress;
+    }
+    if (remote.status === "error") {
+      changes.error = remote.error?.message || "Batch job failed on OpenEO";
+    }
+
+    return Object.keys(changes).length > 0
+      ? this.store.update(id, changes)
+      : job;
+  }
+
+  async getJobResult(job) {
+    return openeoService.getBatchJobResult(job.openeo_job_id);
+  }
+}
+
+const jobService = new JobService(
+  createJobStore(config.JOB_STORE, { path: config.JOB_STORE_PATH })
+);
+export default jobService;
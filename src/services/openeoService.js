@@ -1,42 +1,170 @@
-import axios from "axios";
+import { bbox as turfBbox } from "@turf/turf";
 import config from "../config.js";
+import { resolveIndex } from "../utils/bandMath.js";
+import {
+  MASKED_BAND_LABELS,
+  buildMaskedIndexProcess,
+  cloudCoverFilter,
+} from "../utils/cloudMask.js";
+import { buildStatisticsReducer } from "../utils/timeseries.js";
+import { SENSORS, sensorNDVI } from "../utils/sensors.js";
+import { rasterSaveNodes } from "../utils/raster.js";
+import {
+  SAR_BACKSCATTER_COEFFICIENT,
+  SAR_BAND_LABELS,
+  SAR_POLARIZATIONS,
+  buildSarIndexProcess,
+  orbitDirectionFilter,
+} from "../utils/sar.js";
+import { CircuitBreaker, HttpClient } from "./httpClient.js";
+import {
+  CollectionNotFoundError,
+  InvalidProcessGraphError,
+  NoDataError,
+  OpenEOAuthError,
+  UpstreamError,
+  bufferErrorBody,
+  fromOpenEOError,
+} from "../utils/errors.js";
+
+// Process ids used by a process graph, including child process graphs
+// (reducers, apply_dimension processes, ...)
+const collectProcessIds = (processGraph, ids = new Set()) => {
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === "object") {
+      if (value.process_graph) {
+        collectProcessIds(value.process_graph, ids);
+      } else {
+        Object.values(value).forEach(visit);
+      }
+    }
+  };
+
+  for (const node of Object.values(processGraph)) {
+    ids.add(node.process_id);
+    visit(node.arguments);
+  }
+  return ids;
+};
+
+// Endpoint paths with their parameter names dropped: /jobs/{job_id} -> /jobs/{}
+const endpointKey = (method, path) =>
+  `${method.toUpperCase()} ${path.replace(/\{[^}]*\}/g, "{}")}`;
 
 class OpenEOService {
   constructor() {
+    this.provider = config.provider;
     this.baseURL = config.OPENEO_API_URL;
     this.clientId = config.OPENEO_CLIENT_ID;
     this.clientSecret = config.OPENEO_CLIENT_SECRET;
+    this.username = config.OPENEO_USERNAME;
+    this.password = config.OPENEO_PASSWORD;
     this.accessToken = null;
     this.tokenExpiry = null;
+    this.tokenRequest = null;
+    this.capabilities = null;
+    this.http = new HttpClient({
+      timeout: config.OPENEO_TIMEOUT_MS,
+      retries: config.OPENEO_RETRIES,
+      retryBaseMs: config.OPENEO_RETRY_BASE_MS,
+      retryMaxMs: config.OPENEO_RETRY_MAX_MS,
+      breaker: new CircuitBreaker({
+        threshold: config.OPENEO_BREAKER_THRESHOLD,
+        resetMs: config.OPENEO_BREAKER_RESET_MS,
+      }),
+      getToken: (rejected) => this.getAccessToken(rejected),
+    });
+    // Token requests go to the identity provider, which fails independently
+    // of the backend: they get their own client and breaker
+    this.authHttp = new HttpClient({
+      timeout: config.OPENEO_TIMEOUT_MS,
+      retries: config.OPENEO_RETRIES,
+      retryBaseMs: config.OPENEO_RETRY_BASE_MS,
+      retryMaxMs: config.OPENEO_RETRY_MAX_MS,
+      breaker: new CircuitBreaker({
+        threshold: config.OPENEO_BREAKER_THRESHOLD,
+        resetMs: config.OPENEO_BREAKER_RESET_MS,
+      }),
+    });
   }
 
-  async getAccessToken() {
-    // Check if we have a valid token
-    if (this.accessToken && this.tokenExpiry && Date.now() < this.tokenExpiry) {
+  // Circuit breaker state of the backend connection, for health checks
+  getConnectionState() {
+    return this.http.breaker.snapshot();
+  }
+
+  // Access token for the backend. `rejected` is a token the backend answered
+  // 401 to (revoked or expired early), which is renewed unless another request
+  // already did. Concurrent callers share one token request.
+  async getAccessToken(rejected = null) {
+    // Backends without authentication (e.g. local test backends)
+    if (this.provider.auth.method === "none") {
+      return null;
+    }
+
+    if (
+      this.accessToken &&
+      this.accessToken !== rejected &&
+      Date.now() < this.tokenExpiry
+    ) {
       return this.accessToken;
     }
 
-    try {
-      console.log("Connecting to OpenEO:", this.baseURL);
+    if (!this.tokenRequest) {
+      this.tokenRequest = this.requestAccessToken().finally(() => {
+        this.tokenRequest = null;
+      });
+    }
+    return this.tokenRequest;
+  }
 
-      const capabilitiesResponse = await axios.get(`${this.baseURL}/`);
-      console.log("OpenEO capabilities:", capabilitiesResponse.data);
+  async requestAccessToken() {
+    const { auth } = this.provider;
 
-      // Use OAuth2 client credentials authentication with same scopes as Python library
-      const tokenResponse = await axios.post(
-        "https://identity.dataspace.copernicus.eu/auth/realms/CDSE/protocol/openid-connect/token",
-        `grant_type=client_credentials&client_id=${this.clientId}&client_secret=${this.clientSecret}&scope=openid email profile user-context`,
-        {
+    try {
+      console.log(
+        `Connecting to OpenEO (${this.provider.title}):`,
+        this.baseURL
+      );
+
+      let response;
+      if (auth.method === "basic") {
+        // openEO basic auth exchanges username/password for a bearer token
+        response = await this.authHttp.get(
+          `${this.baseURL}/credentials/basic`,
+          {
+            auth: { username: this.username, password: this.password },
+          }
+        );
+      } else {
+        // OAuth2 client credentials against the provider's OIDC token endpoint
+        const form = new URLSearchParams({
+          grant_type: "client_credentials",
+          client_id: this.clientId,
+          client_secret: this.clientSecret,
+        });
+        if (auth.scope) {
+          form.append("scope", auth.scope);
+        }
+        response = await this.authHttp.post(auth.tokenUrl, form.toString(), {
+          // A token request has no side effects
+          idempotent: true,
           headers: {
             "Content-Type": "application/x-www-form-urlencoded",
           },
-        }
-      );
+        });
+      }
 
-      // Use the same token format as Python library (prepend oidc/CDSE/)
-      this.accessToken = `oidc/CDSE/${tokenResponse.data.access_token}`;
-      // Set expiry to 1 hour from now (minus 5 minutes buffer)
-      this.tokenExpiry = Date.now() + 55 * 60 * 1000;
+      // openEO expects the auth method (and OIDC provider) before the token,
+      // e.g. oidc/CDSE/<token> or basic//<token>
+      this.accessToken = `${auth.tokenPrefix}${response.data.access_token}`;
+      // Renew shortly before the token expires (one hour when the response
+      // has no expires_in)
+      const expiresIn = Number(response.data.expires_in) || 3600;
+      this.tokenExpiry =
+        Date.now() + (expiresIn - Math.min(60, expiresIn * 0.1)) * 1000;
 
       console.log("OpenEO authentication successful!");
       return this.accessToken;
@@ -46,11 +174,143 @@ class OpenEOService {
         console.error("Response status:", error.response.status);
         console.error("Response data:", error.response.data);
       }
-      throw new Error("Failed to authenticate with OpenEO");
+      // Rejected credentials are auth failures whatever the error code;
+      // timeouts, rate limits and backend outages keep their class
+      const mapped = fromOpenEOError(
+        error,
+        "Failed to authenticate with OpenEO"
+      );
+      if (![400, 401, 403].includes(error.response?.status)) {
+        throw mapped;
+      }
+      throw new OpenEOAuthError(mapped.message, {
+        upstream: mapped.upstream,
+        cause: error,
+      });
     }
   }
 
-  loadFields(coordinates) {
+  // Backend capabilities: supported endpoints and processes. Fetched once;
+  // null when the backend could not be queried so requests are not blocked.
+  async getCapabilities() {
+    if (this.capabilities) {
+      return this.capabilities;
+    }
+
+    try {
+      const response = await this.http.get(`${this.baseURL}/`);
+      const endpoints = new Set();
+      for (const endpoint of response.data.endpoints || []) {
+        for (const method of endpoint.methods || []) {
+          endpoints.add(endpointKey(method, endpoint.path));
+        }
+      }
+
+      let processes = null;
+      try {
+        const processResponse = await this.http.get(
+          `${this.baseURL}/processes`
+        );
+        processes = new Set(
+          (processResponse.data.processes || []).map((process) => process.id)
+        );
+      } catch (error) {
+        console.warn(`Failed to list processes (${error.message})`);
+      }
+
+      // An empty endpoint list means the backend does not advertise them
+      const supports = (...keys) =>
+        endpoints.size === 0 || keys.every((key) => endpoints.has(key));
+
+      this.capabilities = {
+        provider: this.provider.name,
+        title: this.provider.title,
+        api_version: response.data.api_version,
+        backend_version: response.data.backend_version,
+        synchronous: supports("POST /result"),
+        batch_jobs: supports(
+          "POST /jobs",
+          "GET /jobs/{}",
+          "POST /jobs/{}/results",
+          "GET /jobs/{}/results"
+        ),
+        validation: supports("POST /validation"),
+        estimates: supports("POST /jobs", "GET /jobs/{}/estimate"),
+        processes,
+      };
+      console.log(
+        `OpenEO capabilities (${this.provider.name}): API ${this.capabilities.api_version}, ` +
+          `${processes ? processes.size : "unknown number of"} processes`
+      );
+      return this.capabilities;
+    } catch (error) {
+      console.warn(`Failed to get OpenEO capabilities (${error.message})`);
+      return null;
+    }
+  }
+
+  // Fail early when the provider lacks an endpoint or process the request
+  // needs (mode: "synchronous" or "batch_jobs")
+  async assertSupported(processGraph, mode = "synchronous") {
+    const capabilities = await this.getCapabilities();
+    if (!capabilities) {
+      return;
+    }
+
+    if (!capabilities[mode]) {
+      const what =
+        mode === "batch_jobs" ? "batch jobs" : "synchronous processing";
+      throw new InvalidProcessGraphError(
+        `${this.provider.title} does not support ${what}`,
+        { code: "process_unsupported" }
+      );
+    }
+
+    if (capabilities.processes) {
+      const missing = [...collectProcessIds(processGraph)].filter(
+        (id) => !capabilities.processes.has(id)
+      );
+      if (missing.length > 0) {
+        throw new InvalidProcessGraphError(
+          `${this.provider.title} does not support the processes: ${missing.join(", ")}`,
+          { code: "process_unsupported" }
+        );
+      }
+    }
+  }
+
+  loadFields(geometry) {
+    // FeatureCollection input: keep every feature, make sure each has an id.
+    // Features without one get field-<position>, suffixed (field-2-2, ...)
+    // when a given id already took it.
+    if (geometry?.type === "FeatureCollection") {
+      const givenIds = geometry.features.map(
+        (feature) => feature.id ?? feature.properties?.id
+      );
+      const taken = new Set(
+        givenIds.filter((id) => id !== undefined).map(String)
+      );
+      const generateId = (position) => {
+        let id = `field-${position}`;
+        for (let suffix = 2; taken.has(id); suffix++) {
+          id = `field-${position}-${suffix}`;
+        }
+        taken.add(id);
+        return id;
+      };
+
+      return {
+        type: "FeatureCollection",
+        features: geometry.features.map((feature, i) => ({
+          type: "Feature",
+          id: givenIds[i] ?? generateId(i + 1),
+          properties: feature.properties || {},
+          geometry: feature.geometry,
+        })),
+      };
+    }
+
+    // Single polygon given as its coordinate rings
     return {
       type: "FeatureCollection",
       features: [
@@ -59,104 +319,331 @@ class OpenEOService {
           properties: {},
           geometry: {
             type: "Polygon",
-            coordinates: coordinates,
+            coordinates: geometry,
           },
         },
       ],
     };
   }
 
-  async getNDVITimeseries(coordinates, startDate, endDate) {
-    try {
-      const token = await this.getAccessToken();
+  // Collection id of an optical sensor (see utils/sensors.js)
+  sensorCollectionId(sensor) {
+    const collectionId = this.provider.collections[SENSORS[sensor].collection];
+    if (!collectionId) {
+      throw new CollectionNotFoundError(
+        `${this.provider.title} has no ${SENSORS[sensor].title} collection configured`
+      );
+    }
+    return collectionId;
+  }
 
-      // Format dates to ISO string
-      const startDateISO = new Date(startDate).toISOString().split("T")[0];
-      const endDateISO = new Date(endDate).toISOString().split("T")[0];
+  // load_collection and band math nodes producing the index cube (with a
+  // validity flag band when cloud masked). Shared by timeseries and composites.
+  // options.collections selects the sensor (Sentinel-2 by default); other
+  // sensors only provide NDVI.
+  buildIndexCubeNodes(startDate, endDate, options = {}, spatialExtent = null) {
+    // Format dates to ISO string
+    const startDateISO = new Date(startDate).toISOString().split("T")[0];
+    const endDateISO = new Date(endDate).toISOString().split("T")[0];
 
-      const fields = this.loadFields(coordinates);
+    // Compile the requested index (NDVI by default) into bands + reducer
+    const sensor = options.collections?.[0] || "sentinel2";
+    const spectralIndex =
+      sensor === "sentinel2" ? resolveIndex(options) : sensorNDVI(sensor);
+    console.log(
+      `Building ${spectralIndex.name} process graph: ${spectralIndex.expression}`
+    );
 
-      // Create the process graph for NDVI calculation (exact same as Python version)
-      const processGraph = {
-        loadcollection1: {
-          process_id: "load_collection",
+    const { cloudMask = "none", maxCloudCover, probabilityThreshold } = options;
+    const masked = cloudMask !== "none";
+
+    const loadArguments = {
+      bands: spectralIndex.bands,
+      id: this.sensorCollectionId(sensor),
+      spatial_extent: spatialExtent,
+      temporal_extent: [startDateISO, endDateISO],
+    };
+    if (maxCloudCover !== undefined) {
+      loadArguments.properties = cloudCoverFilter(maxCloudCover);
+    }
+
+    let bandNodes;
+    if (masked) {
+      // Index with cloudy pixels set to null plus a validity flag band,
+      // whose mean over the polygon is the valid-pixel fraction per date
+      const maskedIndex = buildMaskedIndexProcess(spectralIndex, {
+        method: cloudMask,
+        probabilityThreshold,
+      });
+      loadArguments.bands = maskedIndex.bands;
+      console.log(`Applying ${cloudMask} cloud mask`);
+
+      bandNodes = {
+        applydimension1: {
+          process_id: "apply_dimension",
           arguments: {
-            bands: ["B04", "B08"],
-            id: "SENTINEL2_L2A",
-            spatial_extent: null,
-            temporal_extent: [startDateISO, endDateISO],
+            data: { from_node: "loadcollection1" },
+            dimension: "bands",
+            process: {
+              process_graph: maskedIndex.processGraph,
+            },
           },
         },
+        renamelabels1: {
+          process_id: "rename_labels",
+          arguments: {
+            data: { from_node: "applydimension1" },
+            dimension: "bands",
+            target: MASKED_BAND_LABELS,
+          },
+        },
+      };
+    } else {
+      bandNodes = {
         reducedimension1: {
           process_id: "reduce_dimension",
           arguments: {
             data: { from_node: "loadcollection1" },
             dimension: "bands",
             reducer: {
-              process_graph: {
-                arrayelement1: {
-                  process_id: "array_element",
-                  arguments: {
-                    data: { from_parameter: "data" },
-                    index: 1,
-                  },
-                },
-                arrayelement2: {
-                  process_id: "array_element",
-                  arguments: {
-                    data: { from_parameter: "data" },
-                    index: 0,
-                  },
-                },
-                subtract1: {
-                  process_id: "subtract",
-                  arguments: {
-                    x: { from_node: "arrayelement1" },
-                    y: { from_node: "arrayelement2" },
-                  },
-                },
-                add1: {
-                  process_id: "add",
-                  arguments: {
-                    x: { from_node: "arrayelement1" },
-                    y: { from_node: "arrayelement2" },
-                  },
-                },
-                divide1: {
-                  process_id: "divide",
-                  arguments: {
-                    x: { from_node: "subtract1" },
-                    y: { from_node: "add1" },
-                  },
-                  result: true,
-                },
-              },
+              process_graph: spectralIndex.processGraph,
             },
           },
         },
-        aggregatespatial1: {
-          process_id: "aggregate_spatial",
-          arguments: {
-            data: { from_node: "reducedimension1" },
-            geometries: fields,
-            reducer: {
-              process_graph: {
-                mean1: {
-                  process_id: "mean",
-                  arguments: {
-                    data: { from_parameter: "data" },
-                  },
-                  result: true,
-                },
-              },
+      };
+    }
+
+    return {
+      nodes: {
+        loadcollection1: {
+          process_id: "load_collection",
+          arguments: loadArguments,
+        },
+        ...bandNodes,
+      },
+      outputNode: masked ? "renamelabels1" : "reducedimension1",
+      masked,
+    };
+  }
+
+  // Build the index timeseries process graph (aggregate_spatial is the
+  // result node). Shared by synchronous requests and batch jobs.
+  buildNDVIProcessGraph(geometry, startDate, endDate, options = {}) {
+    const fields = this.loadFields(geometry);
+    const { nodes, outputNode } = this.buildIndexCubeNodes(
+      startDate,
+      endDate,
+      options
+    );
+
+    const processGraph = {
+      ...nodes,
+      aggregatespatial1: {
+        process_id: "aggregate_spatial",
+        arguments: {
+          data: { from_node: outputNode },
+          geometries: fields,
+          // mean, min, max, median, stddev and valid pixel count per date
+          reducer: buildStatisticsReducer(),
+        },
+        result: true,
+      },
+    };
+
+    return processGraph;
+  }
+
+  // Build the Sentinel-1 radar vegetation index timeseries process graph:
+  // sigma0 backscatter of the dual-pol bands, RVI and cross/co ratio per
+  // pixel, aggregated like the index timeseries
+  buildSARProcessGraph(geometry, startDate, endDate, options = {}) {
+    const { polarization = "VV+VH", orbitDirection = "both" } = options;
+    const fields = this.loadFields(geometry);
+    const startDateISO = new Date(startDate).toISOString().split("T")[0];
+    const endDateISO = new Date(endDate).toISOString().split("T")[0];
+    console.log(
+      `Building SAR process graph: ${polarization}, ${orbitDirection} orbits`
+    );
+
+    const loadArguments = {
+      bands: SAR_POLARIZATIONS[polarization],
+      id: this.provider.collections.sentinel1,
+      spatial_extent: null,
+      temporal_extent: [startDateISO, endDateISO],
+    };
+    const properties = orbitDirectionFilter(orbitDirection);
+    if (properties) {
+      loadArguments.properties = properties;
+    }
+
+    return {
+      loadcollection1: {
+        process_id: "load_collection",
+        arguments: loadArguments,
+      },
+      sarbackscatter1: {
+        process_id: "sar_backscatter",
+        arguments: {
+          data: { from_node: "loadcollection1" },
+          coefficient: SAR_BACKSCATTER_COEFFICIENT,
+        },
+      },
+      applydimension1: {
+        process_id: "apply_dimension",
+        arguments: {
+          data: { from_node: "sarbackscatter1" },
+          dimension: "bands",
+          process: buildSarIndexProcess(),
+        },
+      },
+      renamelabels1: {
+        process_id: "rename_labels",
+        arguments: {
+          data: { from_node: "applydimension1" },
+          dimension: "bands",
+          target: SAR_BAND_LABELS,
+        },
+      },
+      aggregatespatial1: {
+        process_id: "aggregate_spatial",
+        arguments: {
+          data: { from_node: "renamelabels1" },
+          geometries: fields,
+          reducer: buildStatisticsReducer(),
+        },
+        result: true,
+      },
+    };
+  }
+
+  // GeoJSON mask for polygon rings, a (Multi)Polygon or a FeatureCollection
+  maskGeometry(geometry) {
+    return Array.isArray(geometry)
+      ? { type: "Polygon", coordinates: geometry }
+      : geometry;
+  }
+
+  // Build the index composite process graph: the index reduced over time
+  // (options.composite: max, median or mean), optionally resampled to
+  // options.projection (EPSG code), clipped to the geometry and saved as
+  // options.format
+  buildCompositeProcessGraph(geometry, startDate, endDate, options = {}) {
+    const {
+      composite = "max",
+      format = "GTiff",
+      quicklook,
+      projection,
+    } = options;
+    const mask = this.maskGeometry(geometry);
+    const [west, south, east, north] = turfBbox(mask);
+
+    const { nodes, outputNode, masked } = this.buildIndexCubeNodes(
+      startDate,
+      endDate,
+      options,
+      { west, south, east, north }
+    );
+
+    const processGraph = { ...nodes };
+    let cubeNode = outputNode;
+    if (masked) {
+      // Only the masked index; the validity flag is for timeseries statistics
+      processGraph.filterbands1 = {
+        process_id: "filter_bands",
+        arguments: {
+          data: { from_node: outputNode },
+          bands: [MASKED_BAND_LABELS[0]],
+        },
+      };
+      cubeNode = "filterbands1";
+    }
+
+    processGraph.reducedimension2 = {
+      process_id: "reduce_dimension",
+      arguments: {
+        data: { from_node: cubeNode },
+        dimension: "t",
+        reducer: {
+          process_graph: {
+            [`${composite}1`]: {
+              process_id: composite,
+              arguments: { data: { from_parameter: "data" } },
+              result: true,
             },
           },
-          result: true,
+        },
+      },
+    };
+    let compositeNode = "reducedimension2";
+    if (projection) {
+      processGraph.resamplespatial1 = {
+        process_id: "resample_spatial",
+        arguments: {
+          data: { from_node: "reducedimension2" },
+          projection,
+          method: "near",
         },
       };
+      compositeNode = "resamplespatial1";
+    }
+    processGraph.maskpolygon1 = {
+      process_id: "mask_polygon",
+      arguments: {
+        data: { from_node: compositeNode },
+        mask,
+      },
+    };
+
+    return {
+      ...processGraph,
+      ...rasterSaveNodes("maskpolygon1", format, quicklook),
+    };
+  }
+
+  // Timeseries process graphs keyed by sensor, one per options.collections
+  // entry (Sentinel-2 by default)
+  buildNDVIProcessGraphs(geometry, startDate, endDate, options = {}) {
+    const sensors = options.collections?.length
+      ? options.collections
+      : ["sentinel2"];
+    return Object.fromEntries(
+      sensors.map((sensor) => [
+        sensor,
+        this.buildNDVIProcessGraph(geometry, startDate, endDate, {
+          ...options,
+          collections: [sensor],
+        }),
+      ])
+    );
+  }
+
+  // Raw aggregate_spatial result; with several options.collections one per
+  // sensor, keyed by sensor ({ sentinel2: raw, landsat: raw })
+  async getNDVITimeseries(geometry, startDate, endDate, options = {}) {
+    const processGraphs = this.buildNDVIProcessGraphs(
+      geometry,
+      startDate,
+      endDate,
+      options
+    );
+    const sensors = Object.keys(processGraphs);
+    const results = await Promise.all(
+      sensors.map((sensor) =>
+        this.executeNDVIProcessGraph(processGraphs[sensor])
+      )
+    );
+
+    return sensors.length > 1
+      ? Object.fromEntries(sensors.map((sensor, i) => [sensor, results[i]]))
+      : results[0];
+  }
+
+  async executeNDVIProcessGraph(processGraph) {
+    await this.assertSupported(processGraph);
 
+    try {
       // Execute the process
-      const response = await axios.post(
+      const response = await this.http.post(
         `${this.baseURL}/result`,
         {
           process: {
@@ -164,8 +651,8 @@ class OpenEOService {
           },
         },
         {
+          authenticate: true,
           headers: {
-            Authorization: `Bearer ${token}`,
             "Content-Type": "application/json",
           },
         }
@@ -182,12 +669,51 @@ class OpenEOService {
         );
         console.error("Response headers:", error.response.headers);
       }
-      throw new Error("Failed to get NDVI timeseries from OpenEO");
+      throw fromOpenEOError(error, "Failed to get NDVI timeseries from OpenEO");
+    }
+  }
+
+  async getSARTimeseries(geometry, startDate, endDate, options = {}) {
+    const processGraph = this.buildSARProcessGraph(
+      geometry,
+      startDate,
+      endDate,
+      options
+    );
+    await this.assertSupported(processGraph);
+
+    try {
+      const response = await this.http.post(
+        `${this.baseURL}/result`,
+        { process: { process_graph: processGraph } },
+        {
+          authenticate: true,
+          headers: {
+            "Content-Type": "application/json",
+          },
+        }
+      );
+
+      return response.data;
+    } catch (error) {
+      console.error("Error getting SAR timeseries:", error.message);
+      if (error.response) {
+        console.error("Response status:", error.response.status);
+        console.error(
+          "Response data:",
+          JSON.stringify(error.response.data, null, 2)
+        );
+      }
+      throw fromOpenEOError(error, "Failed to get SAR timeseries from OpenEO");
     }
   }
 
   collectionFromProduct(product) {
-    // Default hardcoded IDs (used by some providers like Earth Engine driver)
+    // Provider mapping first, then the Earth Engine driver ids
+    const providerMap = this.provider.collections.dem || {};
+    if (providerMap[product]) {
+      return providerMap[product];
+    }
     const defaultMap = {
       "GLO-30": "COPERNICUS/DEM/GLO-30",
       "GLO-90": "COPERNICUS/DEM/GLO-90",
@@ -196,11 +722,17 @@ class OpenEOService {
     return defaultMap[product] || defaultMap["GLO-30"];
   }
 
-  async resolveDemCollectionId(product, token) {
+  async resolveDemCollectionId(product) {
+    // Collections configured for the provider need no discovery
+    const mapped = this.provider.collections.dem?.[product];
+    if (mapped) {
+      return mapped;
+    }
+
     // Try provider-specific discovery to avoid 404 CollectionNotFound
     try {
-      const resp = await axios.get(`${this.baseURL}/collections`, {
-        headers: { Authorization: `Bearer ${token}` },
+      const resp = await this.http.get(`${this.baseURL}/collections`, {
+        authenticate: true,
       });
       const list = resp.data.collections || [];
       const want =
@@ -305,77 +837,87 @@ class OpenEOService {
     }
   }
 
+  // Bounding box of polygon rings or a GeoJSON (Multi)Polygon, over all rings
   bboxFromPolygon(polygon) {
-    // polygon: [[[lon, lat], ...]] (first ring)
-    const ring = polygon?.[0] || [];
-    let west = Infinity,
-      south = Infinity,
-      east = -Infinity,
-      north = -Infinity;
-    for (const [lon, lat] of ring) {
-      if (lon < west) west = lon;
-      if (lon > east) east = lon;
-      if (lat < south) south = lat;
-      if (lat > north) north = lat;
-    }
+    const [west, south, east, north] = turfBbox(this.maskGeometry(polygon));
     return { west, south, east, north };
   }
 
-  async getDEMCutout(coordinates, product = "GLO-30") {
-    try {
-      const token = await this.getAccessToken();
-      const collectionId = await this.resolveDemCollectionId(product, token);
-      const bbox = this.bboxFromPolygon(coordinates);
-
-      console.log(
-        `Building DEM process graph for collection: ${collectionId}, format: JSON`
-      );
-
-      // Process graph for JSON format - get statistics
-      const processGraph = {
-        load: {
-          process_id: "load_collection",
-          arguments: {
-            id: collectionId,
-            spatial_extent: bbox,
-          },
+  // Build the DEM process graph for a resolved collection id and polygon
+  // (rings or a GeoJSON Polygon/MultiPolygon), masked to the polygon so cells
+  // outside it or in its holes are nodata, and saved as JSON or a raster
+  // format (see utils/raster.js)
+  buildDEMProcessGraph(collectionId, polygon, format = "JSON", quicklook) {
+    // Process graph with the temporal dimension reduced
+    const processGraph = {
+      load: {
+        process_id: "load_collection",
+        arguments: {
+          id: collectionId,
+          spatial_extent: this.bboxFromPolygon(polygon),
         },
-        reduce: {
-          process_id: "reduce_dimension",
-          arguments: {
-            data: { from_node: "load" },
-            dimension: "t", // reduce temporal dimension if it exists
-            reducer: {
-              process_graph: {
-                mean: {
-                  process_id: "mean",
-                  arguments: {
-                    data: { from_parameter: "data" },
-                  },
-                  result: true,
+      },
+      reduce: {
+        process_id: "reduce_dimension",
+        arguments: {
+          data: { from_node: "load" },
+          dimension: "t", // reduce temporal dimension if it exists
+          reducer: {
+            process_graph: {
+              mean: {
+                process_id: "mean",
+                arguments: {
+                  data: { from_parameter: "data" },
                 },
+                result: true,
               },
             },
           },
         },
-        save: {
-          process_id: "save_result",
-          arguments: {
-            data: { from_node: "reduce" },
-            format: "JSON",
-          },
-          result: true,
+      },
+      mask: {
+        process_id: "mask_polygon",
+        arguments: {
+          data: { from_node: "reduce" },
+          mask: this.maskGeometry(polygon),
         },
-      };
+      },
+      ...rasterSaveNodes("mask", format, quicklook),
+    };
+
+    return processGraph;
+  }
+
+  // DEM process graph of a /dem/clip request: the product's collection
+  // resolved for the provider, then buildDEMProcessGraph
+  async buildDEMClipProcessGraph(
+    polygon,
+    product = "GLO-30",
+    format = "JSON",
+    quicklook
+  ) {
+    const collectionId = await this.resolveDemCollectionId(product);
+
+    console.log(
+      `Building DEM process graph for collection: ${collectionId}, format: ${format}`
+    );
 
+    return this.buildDEMProcessGraph(collectionId, polygon, format, quicklook);
+  }
+
+  async getDEMCutout(polygon, product = "GLO-30") {
+    const processGraph = await this.buildDEMClipProcessGraph(polygon, product);
+    await this.assertSupported(processGraph);
+
+    try {
       console.log("Process graph:", JSON.stringify(processGraph, null, 2));
 
-      const response = await axios.post(
+      const response = await this.http.post(
         `${this.baseURL}/result`,
         { process: { process_graph: processGraph } },
         {
+          authenticate: true,
           headers: {
-            Authorization: `Bearer ${token}`,
             "Content-Type": "application/json",
           },
           responseType: "json",
@@ -392,7 +934,292 @@ class OpenEOService {
         console.error("Response status:", error.response.status);
         console.error("Response data:", error.response.data);
       }
-      throw new Error("Failed to get DEM cutout from OpenEO");
+      throw fromOpenEOError(error, "Failed to get DEM cutout from OpenEO");
+    }
+  }
+
+  // Execute a process graph synchronously and return the binary result as a
+  // stream with its content type, for raster downloads
+  async executeRaster(processGraph) {
+    await this.assertSupported(processGraph);
+
+    try {
+      const response = await this.http.post(
+        `${this.baseURL}/result`,
+        { process: { process_graph: processGraph } },
+        {
+          authenticate: true,
+          headers: {
+            "Content-Type": "application/json",
+          },
+          responseType: "stream",
+        }
+      );
+
+      return {
+        stream: response.data,
+        contentType: response.headers["content-type"],
+        contentLength: response.headers["content-length"],
+      };
+    } catch (error) {
+      await bufferErrorBody(error);
+      console.error("Error getting raster result:", error.message);
+      if (error.response) {
+        console.error("Response status:", error.response.status);
+      }
+      throw fromOpenEOError(error, "Failed to get raster result from OpenEO");
+    }
+  }
+
+  async getDEMRaster(polygon, product = "GLO-30", format, quicklook) {
+    return this.executeRaster(
+      await this.buildDEMClipProcessGraph(polygon, product, format, quicklook)
+    );
+  }
+
+  async getNDVIComposite(geometry, startDate, endDate, options = {}) {
+    return this.executeRaster(
+      this.buildCompositeProcessGraph(geometry, startDate, endDate, options)
+    );
+  }
+
+  // Index composite as a JSON grid in longitude/latitude, for per-pixel
+  // analysis such as management zones
+  buildCompositeGridProcessGraph(geometry, startDate, endDate, options = {}) {
+    return this.buildCompositeProcessGraph(geometry, startDate, endDate, {
+      ...options,
+      format: "JSON",
+      projection: 4326,
+    });
+  }
+
+  async getNDVICompositeGrid(geometry, startDate, endDate, options = {}) {
+    const processGraph = this.buildCompositeGridProcessGraph(
+      geometry,
+      startDate,
+      endDate,
+      options
+    );
+    await this.assertSupported(processGraph);
+
+    try {
+      const response = await this.http.post(
+        `${this.baseURL}/result`,
+        { process: { process_graph: processGraph } },
+        {
+          authenticate: true,
+          headers: {
+            "Content-Type": "application/json",
+          },
+          responseType: "json",
+        }
+      );
+      return response.data;
+    } catch (error) {
+      console.error("Error getting composite grid:", error.message);
+      if (error.response) {
+        console.error("Response status:", error.response.status);
+      }
+      throw fromOpenEOError(error, "Failed to get composite grid from OpenEO");
+    }
+  }
+
+  // Terminate a process graph with save_result so batch jobs write an asset
+  withSaveResult(processGraph, format = "JSON") {
+    if (
+      Object.values(processGraph).some((n) => n.process_id === "save_result")
+    ) {
+      return processGraph;
+    }
+
+    const graph = {};
+    let resultNode;
+    for (const [nodeId, node] of Object.entries(processGraph)) {
+      const { result, ...rest } = node;
+      graph[nodeId] = rest;
+      if (result) resultNode = nodeId;
+    }
+    graph.saveresult1 = {
+      process_id: "save_result",
+      arguments: {
+        data: { from_node: resultNode },
+        format,
+      },
+      result: true,
+    };
+    return graph;
+  }
+
+  // Validate a process graph with the backend (POST /validation) without
+  // executing it; returns the reported errors, empty when valid
+  async validateProcessGraph(processGraph) {
+    try {
+      const response = await this.http.post(
+        `${this.baseURL}/validation`,
+        { process_graph: processGraph },
+        {
+          authenticate: true,
+          idempotent: true,
+          headers: {
+            "Content-Type": "application/json",
+          },
+        }
+      );
+      return response.data.errors || [];
+    } catch (error) {
+      throw fromOpenEOError(
+        error,
+        "Failed to validate process graph on OpenEO"
+      );
+    }
+  }
+
+  // Backend estimate of a batch job for the process graph (costs, duration,
+  // size): the job is created without starting it and deleted afterwards
+  async estimateBatchJob(processGraph, title = "Estimate") {
+    const jobId = await this.submitBatchJob(processGraph, title);
+    try {
+      const response = await this.http.get(
+        `${this.baseURL}/jobs/${jobId}/estimate`,
+        { authenticate: true }
+      );
+      return response.data;
+    } catch (error) {
+      throw fromOpenEOError(error, "Failed to estimate batch job on OpenEO");
+    } finally {
+      await this.deleteBatchJob(jobId).catch((error) => {
+        console.warn(
+          `Failed to delete estimate job ${jobId} (${error.message})`
+        );
+      });
+    }
+  }
+
+  // Create a batch job on openEO without queueing it; returns the job id
+  async submitBatchJob(processGraph, title) {
+    await this.assertSupported(this.withSaveResult(processGraph), "batch_jobs");
+
+    try {
+      // Not retried: a request that timed out may still have created the job
+      const response = await this.http.post(
+        `${this.baseURL}/jobs`,
+        {
+          title,
+          process: { process_graph: this.withSaveResult(processGraph) },
+        },
+        {
+          authenticate: true,
+          retry: false,
+          headers: {
+            "Content-Type": "application/json",
+          },
+        }
+      );
+
+      // openEO returns the job id in OpenEO-Identifier, or at least Location
+      const jobId =
+        response.headers["openeo-identifier"] ||
+        response.headers.location?.split("/").pop();
+      if (!jobId) {
+        throw new UpstreamError("Backend did not return a job identifier");
+      }
+      return jobId;
+    } catch (error) {
+      console.error("Error creating batch job:", error.message);
+      if (error.response) {
+        console.error("Response status:", error.response.status);
+        console.error("Response data:", error.response.data);
+      }
+      throw fromOpenEOError(error, "Failed to create batch job on OpenEO");
+    }
+  }
+
+  // Create a batch job and queue it for processing; returns the job id
+  async createBatchJob(processGraph, title) {
+    const jobId = await this.submitBatchJob(processGraph, title);
+
+    try {
+      await this.http.post(`${this.baseURL}/jobs/${jobId}/results`, null, {
+        authenticate: true,
+      });
+    } catch (error) {
+      console.error("Error starting batch job:", error.message);
+      // Best effort: a job that was never started would stay on the backend
+      await this.deleteBatchJob(jobId).catch((deleteError) =>
+        console.error(
+          `Error deleting unstarted batch job ${jobId}:`,
+          deleteError.message
+        )
+      );
+      throw fromOpenEOError(error, "Failed to start batch job on OpenEO");
+    }
+
+    console.log(`Started openEO batch job ${jobId}`);
+    return jobId;
+  }
+
+  async deleteBatchJob(jobId) {
+    try {
+      await this.http.delete(`${this.baseURL}/jobs/${jobId}`, {
+        authenticate: true,
+      });
+    } catch (error) {
+      throw fromOpenEOError(error, "Failed to delete batch job on OpenEO");
+    }
+  }
+
+  async getBatchJob(jobId) {
+    try {
+      const response = await this.http.get(`${this.baseURL}/jobs/${jobId}`, {
+        authenticate: true,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("Error getting batch job status:", error.message);
+      if (error.response) {
+        console.error("Response status:", error.response.status);
+        console.error("Response data:", error.response.data);
+      }
+      throw fromOpenEOError(
+        error,
+        "Failed to get batch job status from OpenEO"
+      );
+    }
+  }
+
+  async getBatchJobResult(jobId) {
+    try {
+      const response = await this.http.get(
+        `${this.baseURL}/jobs/${jobId}/results`,
+        { authenticate: true }
+      );
+
+      // Results are a STAC item/collection; pick the JSON asset
+      const assets = Object.values(response.data.assets || {});
+      const asset =
+        assets.find((a) => (a.type || "").includes("json")) ||
+        assets.find((a) => (a.href || "").endsWith(".json")) ||
+        assets[0];
+      if (!asset) {
+        throw new NoDataError("Batch job has no result assets");
+      }
+
+      // Only send our token to the backend itself, not to signed asset URLs
+      const assetResponse = await this.http.get(asset.href, {
+        authenticate: asset.href.startsWith(this.baseURL),
+        responseType: "json",
+      });
+      return assetResponse.data;
+    } catch (error) {
+      console.error("Error getting batch job result:", error.message);
+      if (error.response) {
+        console.error("Response status:", error.response.status);
+        console.error("Response data:", error.response.data);
+      }
+      throw fromOpenEOError(
+        error,
+        "Failed to get batch job result from OpenEO"
+      );
     }
   }
 }
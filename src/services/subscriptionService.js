@@ -0,0 +1,474 @@
+import { randomBytes, randomUUID } from "crypto";
+import axios from "axios";
+import config from "../config.js";
+import openeoService from "./openeoService.js";
+import apiKeyService from "./apiKeyService.js";
+import { createSubscriptionStore } from "../stores/subscriptionStore.js";
+import { evaluateRules } from "../utils/alertRules.js";
+import {
+  timeseriesMeta,
+  timeseriesOptions,
+  transformTimeseriesData,
+} from "../utils/timeseries.js";
+import { processingUsage } from "../utils/usage.js";
+import {
+  SIGNATURE_HEADER,
+  resolveWebhookHost,
+  signatureHeader,
+  webhookLookup,
+} from "../utils/webhook.js";
+import { ForbiddenError } from "../utils/errors.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Time between scheduled runs
+const SCHEDULES = {
+  hourly: 60 * 60 * 1000,
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS,
+};
+
+const SECRET_PREFIX = "whsec_";
+const ALERT_EVENT = "subscription.alert";
+// Webhook answers are not used; larger ones fail the attempt unread
+const MAX_RESPONSE_BYTES = 64 * 1024;
+
+const toISODate = (value) => new Date(value).toISOString().slice(0, 10);
+
+const nextDay = (date) => toISODate(Date.parse(`${date}T00:00:00Z`) + DAY_MS);
+
+// Public representation of a stored subscription (never the secret)
+const formatSubscription = ({ secret, ...subscription }) => subscription;
+
+// Whether an API key may see a subscription; everything is visible without
+// authentication, admin keys see every subscription
+const visibleTo = (subscription, key) =>
+  !key ||
+  apiKeyService.hasScope(key, "admin") ||
+  subscription.key_id === key.id;
+
+// getNDVITimeseries geometry: polygon rings, or a (Multi)Polygon as a
+// single-field FeatureCollection
+const fieldOf = (request) =>
+  request.geometry
+    ? {
+        type: "FeatureCollection",
+        features: [
+          { type: "Feature", properties: {}, geometry: request.geometry },
+        ],
+      }
+    : request.coordinates;
+
+/**
+ * Field monitoring subscriptions. An in-process scheduler runs every active
+ * subscription on its schedule: the index timeseries is fetched from the
+ * day after the last observation seen, the alert rules are evaluated and
+ * alerts are POSTed to the webhook, signed with the subscription secret.
+ * Failed deliveries are retried with exponential backoff up to
+ * WEBHOOK_MAX_ATTEMPTS; every attempt is kept in the delivery log.
+ */
+class SubscriptionService {
+  constructor(store) {
+    this.store = store;
+    this.timer = null;
+    this.ticking = null;
+    // subscription id -> running run, so manual and scheduled runs of one
+    // subscription never overlap
+    this.runs = new Map();
+  }
+
+  // Create a subscription owned by `key` (null without authentication). The
+  // signing secret is only ever returned here. The first run is due at once.
+  async createSubscription(params, key = null) {
+    const { name, schedule, rules, webhook_url, start_date, ...request } =
+      params;
+    const secret = `${SECRET_PREFIX}${randomBytes(24).toString("base64url")}`;
+    const now = new Date();
+    const subscription = await this.store.create({
+      id: randomUUID(),
+      name: name || null,
+      key_id: key?.id || null,
+      status: "active",
+      schedule,
+      rules,
+      webhook_url,
+      secret,
+      // Geometry and index parameters of the timeseries requests
+      request,
+      start_date: toISODate(
+        start_date || now - config.SUBSCRIPTION_LOOKBACK_DAYS * DAY_MS
+      ),
+      // Latest observation date fetched, and the latest valid observation
+      // ({ date, mean }) the next run compares against
+      last_checked_date: null,
+      last_observation: null,
+      next_run_at: now.toISOString(),
+      last_run_at: null,
+      last_error: null,
+      run_count: 0,
+      alert_count: 0,
+      created_at: now.toISOString(),
+      updated_at: now.toISOString(),
+    });
+    return { ...formatSubscription(subscription), secret };
+  }
+
+  async getSubscription(id, key = null) {
+    const subscription = await this.store.get(id);
+    return subscription && visibleTo(subscription, key)
+      ? formatSubscription(subscription)
+      : null;
+  }
+
+  async listSubscriptions(key = null) {
+    const subscriptions = await this.store.list();
+    return subscriptions
+      .filter((subscription) => visibleTo(subscription, key))
+      .map(formatSubscription)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  // Change the name, status, schedule, rules or webhook; resuming or
+  // rescheduling moves the next run to one interval after the last one
+  async updateSubscription(id, changes, key = null) {
+    const subscription = await this.store.get(id);
+    if (!subscription || !visibleTo(subscription, key)) {
+      return null;
+    }
+
+    const schedule = changes.schedule || subscription.schedule;
+    const rescheduled =
+      (changes.status === "active" && subscription.status !== "active") ||
+      (changes.schedule && changes.schedule !== subscription.schedule);
+    const nextRunAt = subscription.last_run_at
+      ? new Date(
+          Math.max(
+            Date.now(),
+            Date.parse(subscription.last_run_at) + SCHEDULES[schedule]
+          )
+        ).toISOString()
+      : new Date().toISOString();
+
+    const updated = await this.store.update(id, {
+      ...changes,
+      ...(rescheduled && { next_run_at: nextRunAt }),
+    });
+    return updated && formatSubscription(updated);
+  }
+
+  async deleteSubscription(id, key = null) {
+    const subscription = await this.store.get(id);
+    if (!subscription || !visibleTo(subscription, key)) {
+      return false;
+    }
+    return this.store.delete(id);
+  }
+
+  // Delivery log of a subscription, newest first
+  async listDeliveries(id) {
+    const deliveries = await this.store.listDeliveries(id);
+    return deliveries.sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  // Charge a run to the owning key's daily quota like a timeseries request;
+  // a revoked key pauses the subscription. Returns the charge for
+  // refundOwner, or null when nothing was charged.
+  async chargeOwner(subscription, params) {
+    // Subscriptions of the built-in ADMIN_API_KEY ("admin") have no quota
+    if (
+      !config.AUTH_ENABLED ||
+      !subscription.key_id ||
+      subscription.key_id === "admin"
+    ) {
+      return null;
+    }
+    const key = await apiKeyService.getKey(subscription.key_id);
+    if (!key || key.revoked_at) {
+      throw new ForbiddenError("The API key of the subscription was revoked", {
+        code: "api_key_invalid",
+      });
+    }
+    const areaHaDays = processingUsage(params).area_ha_days;
+    await apiKeyService.chargeQuota(key, areaHaDays);
+    return { key, areaHaDays };
+  }
+
+  // Give back the charge of a run whose observations could not be fetched;
+  // the next run fetches (and charges) the same window again
+  async refundOwner(charge) {
+    if (!charge) {
+      return;
+    }
+    try {
+      await apiKeyService.refundQuota(charge.key, charge.areaHaDays);
+    } catch (error) {
+      console.error("Error refunding subscription run:", error.message);
+    }
+  }
+
+  /**
+   * Run a subscription now: fetch the observations since the last run,
+   * evaluate the rules and deliver the alerts. Returns the updated
+   * subscription and a run report, or null when the subscription does not
+   * exist (or was deleted during the run); failures are recorded as
+   * last_error.
+   */
+  async runSubscription(id) {
+    if (!this.runs.has(id)) {
+      this.runs.set(
+        id,
+        this.executeRun(id).finally(() => this.runs.delete(id))
+      );
+    }
+    return this.runs.get(id);
+  }
+
+  async executeRun(id) {
+    const subscription = await this.store.get(id);
+    if (!subscription) {
+      return null;
+    }
+
+    const startedAt = new Date();
+    const startDate = subscription.last_checked_date
+      ? nextDay(subscription.last_checked_date)
+      : subscription.start_date;
+    const endDate = toISODate(startedAt);
+    const run = {
+      start_date: startDate,
+      end_date: endDate,
+      observations: 0,
+      alerts: [],
+      delivery: null,
+    };
+    const changes = {
+      last_run_at: startedAt.toISOString(),
+      next_run_at: new Date(
+        startedAt.getTime() + SCHEDULES[subscription.schedule]
+      ).toISOString(),
+      run_count: subscription.run_count + 1,
+      last_error: null,
+    };
+
+    try {
+      if (startDate <= endDate) {
+        const params = {
+          ...subscription.request,
+          start_date: startDate,
+          end_date: endDate,
+        };
+        const charge = await this.chargeOwner(subscription, params);
+
+        let result;
+        try {
+          result = await openeoService.getNDVITimeseries(
+            fieldOf(params),
+            startDate,
+            endDate,
+            timeseriesOptions(params)
+          );
+        } catch (error) {
+          await this.refundOwner(charge);
+          throw error;
+        }
+        const observations =
+          transformTimeseriesData(result, timeseriesMeta(params))?.timeseries ||
+          [];
+        const { alerts, last } = evaluateRules(
+          subscription.rules,
+          observations,
+          subscription.last_observation
+        );
+
+        run.observations = observations.length;
+        run.alerts = alerts;
+        if (observations.length > 0) {
+          changes.last_checked_date =
+            observations[observations.length - 1].date;
+          changes.last_observation = last;
+        }
+        if (alerts.length > 0) {
+          changes.alert_count = subscription.alert_count + alerts.length;
+          const delivery = await this.deliver(subscription, {
+            index: timeseriesMeta(params).index,
+            period: { start_date: startDate, end_date: endDate },
+            rules: subscription.rules,
+            alerts,
+            observations: observations.filter(
+              (observation) => observation.mean !== null
+            ),
+          });
+          run.delivery = { id: delivery.id, status: delivery.status };
+        }
+      }
+    } catch (error) {
+      console.error(`Subscription ${id} run failed:`, error.message);
+      changes.last_error = {
+        code: error.code || null,
+        message: error.message,
+        at: new Date().toISOString(),
+      };
+      if (error.code === "api_key_invalid") {
+        changes.status = "paused";
+      }
+    }
+
+    const updated = await this.store.update(id, changes);
+    if (!updated) {
+      return null;
+    }
+    return {
+      subscription: formatSubscription(updated),
+      run: { ...run, error: changes.last_error },
+    };
+  }
+
+  // Log an alert delivery and make its first attempt
+  async deliver(subscription, data) {
+    const now = new Date().toISOString();
+    const id = randomUUID();
+    const delivery = await this.store.createDelivery({
+      id,
+      subscription_id: subscription.id,
+      event: ALERT_EVENT,
+      url: subscription.webhook_url,
+      payload: {
+        id,
+        event: ALERT_EVENT,
+        created_at: now,
+        subscription: { id: subscription.id, name: subscription.name },
+        ...data,
+      },
+      status: "pending",
+      attempts: [],
+      next_attempt_at: now,
+      created_at: now,
+      delivered_at: null,
+    });
+    return this.attemptDelivery(delivery, subscription.secret);
+  }
+
+  // POST the payload once; any 2xx answer delivers it, anything else is
+  // retried after WEBHOOK_RETRY_BASE_MS × 2^(attempt - 1). The host is
+  // checked again, the webhook may have started resolving to a private
+  // address since it was set.
+  async attemptDelivery(delivery, secret) {
+    const body = JSON.stringify(delivery.payload);
+    const start = Date.now();
+    let attempt;
+    try {
+      // IP literals skip `lookup`
+      await resolveWebhookHost(new URL(delivery.url).hostname);
+      const response = await axios.post(delivery.url, body, {
+        headers: {
+          "Content-Type": "application/json",
+          "X-Webhook-Id": delivery.id,
+          "X-Webhook-Event": delivery.event,
+          [SIGNATURE_HEADER]: signatureHeader(secret, body),
+        },
+        timeout: config.WEBHOOK_TIMEOUT_MS,
+        lookup: webhookLookup,
+        maxContentLength: MAX_RESPONSE_BYTES,
+        maxRedirects: 0,
+        validateStatus: () => true,
+      });
+      attempt = {
+        at: new Date(start).toISOString(),
+        status_code: response.status,
+        duration_ms: Date.now() - start,
+        ...((response.status < 200 || response.status >= 300) && {
+          error: `Webhook answered HTTP ${response.status}`,
+        }),
+      };
+    } catch (error) {
+      attempt = {
+        at: new Date(start).toISOString(),
+        status_code: null,
+        duration_ms: Date.now() - start,
+        error: error.message,
+      };
+    }
+
+    const attempts = [...delivery.attempts, attempt];
+    let changes;
+    if (!attempt.error) {
+      changes = {
+        status: "delivered",
+        delivered_at: attempt.at,
+        next_attempt_at: null,
+      };
+    } else if (attempts.length >= config.WEBHOOK_MAX_ATTEMPTS) {
+      console.warn(
+        `Webhook delivery ${delivery.id} failed after ${attempts.length} attempts`
+      );
+      changes = { status: "failed", next_attempt_at: null };
+    } else {
+      changes = {
+        next_attempt_at: new Date(
+          Date.now() + config.WEBHOOK_RETRY_BASE_MS * 2 ** (attempts.length - 1)
+        ).toISOString(),
+      };
+    }
+    return this.store.updateDelivery(delivery.id, { attempts, ...changes });
+  }
+
+  // Run due subscriptions, then retry due deliveries
+  async tick() {
+    const now = new Date().toISOString();
+
+    const subscriptions = await this.store.list();
+    for (const subscription of subscriptions) {
+      if (subscription.status === "active" && subscription.next_run_at <= now) {
+        await this.runSubscription(subscription.id);
+      }
+    }
+
+    const deliveries = await this.store.listDeliveries();
+    for (const delivery of deliveries) {
+      if (delivery.status !== "pending" || delivery.next_attempt_at > now) {
+        continue;
+      }
+      const subscription = await this.store.get(delivery.subscription_id);
+      if (subscription) {
+        await this.attemptDelivery(delivery, subscription.secret);
+      }
+    }
+  }
+
+  // Start the scheduler; a tick still running skips the next one
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      if (this.ticking) {
+        return;
+      }
+      this.ticking = this.tick()
+        .catch((error) => {
+          console.error("Subscription scheduler tick failed:", error);
+        })
+        .finally(() => {
+          this.ticking = null;
+        });
+    }, config.SUBSCRIPTION_TICK_MS);
+    // The scheduler alone must not keep the process alive
+    this.timer.unref();
+    console.log(
+      `Subscription scheduler running every ${config.SUBSCRIPTION_TICK_MS} ms`
+    );
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+const subscriptionService = new SubscriptionService(
+  createSubscriptionStore(config.SUBSCRIPTION_STORE, {
+    path: config.SUBSCRIPTION_STORE_PATH,
+  })
+);
+export { SCHEDULES };
+export default subscriptionService;
@@ -0,0 +1,298 @@
+import fs from "fs/promises";
+import path from "path";
+
+// API key stores. Keys are stored by the SHA-256 hash of the secret, never
+// the key itself. Every store exposes the same async interface:
+// create(key), get(id), findByHash(hash), update(id, changes), list(),
+// addUsage(id, date, { requests, area_ha_days }) and usage(id, since), where
+// usage is counted per key and UTC day ("YYYY-MM-DD").
+
+const emptyUsage = (date) => ({ date, requests: 0, area_ha_days: 0 });
+
+class MemoryApiKeyStore {
+  constructor() {
+    this.keys = new Map();
+    // "<key id>/<date>" -> { date, requests, area_ha_days }
+    this.usageByDay = new Map();
+  }
+
+  async create(key) {
+    this.keys.set(key.id, { ...key });
+    return { ...key };
+  }
+
+  async get(id) {
+    const key = this.keys.get(id);
+    return key ? { ...key } : null;
+  }
+
+  async findByHash(hash) {
+    const key = [...this.keys.values()].find((k) => k.key_hash === hash);
+    return key ? { ...key } : null;
+  }
+
+  async update(id, changes) {
+    const key = this.keys.get(id);
+    if (!key) {
+      return null;
+    }
+    const updated = { ...key, ...changes };
+    this.keys.set(id, updated);
+    return { ...updated };
+  }
+
+  async list() {
+    return [...this.keys.values()].map((key) => ({ ...key }));
+  }
+
+  async addUsage(id, date, delta) {
+    const entry = this.usageByDay.get(`${id}/${date}`) || emptyUsage(date);
+    const updated = {
+      date,
+      requests: entry.requests + (delta.requests || 0),
+      area_ha_days: entry.area_ha_days + (delta.area_ha_days || 0),
+    };
+    this.usageByDay.set(`${id}/${date}`, updated);
+    return { ...updated };
+  }
+
+  // Daily usage of a key from `since` (inclusive), oldest first
+  async usage(id, since) {
+    return [...this.usageByDay.entries()]
+      .filter(
+        ([entryKey, entry]) =>
+          entryKey.startsWith(`${id}/`) && entry.date >= since
+      )
+      .map(([, entry]) => ({ ...entry }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+}
+
+// Persists keys and usage as a single JSON file so they survive restarts
+class FileApiKeyStore extends MemoryApiKeyStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.loaded = null;
+    this.writing = null;
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = fs
+        .readFile(this.filePath, "utf8")
+        .then((content) => {
+          const { keys = [], usage = [] } = JSON.parse(content);
+          for (const key of keys) {
+            this.keys.set(key.id, key);
+          }
+          for (const { key_id, ...entry } of usage) {
+            this.usageByDay.set(`${key_id}/${entry.date}`, entry);
+          }
+        })
+        .catch((error) => {
+          // A missing file is an empty store. Any other failure rejects the
+          // operation (and is retried by the next one) instead of starting
+          // empty, which the next write would persist over the stored keys.
+          if (error.code === "ENOENT") {
+            return;
+          }
+          this.loaded = null;
+          throw new Error(
+            `Failed to read API key store ${this.filePath}: ${error.message}`,
+            { cause: error }
+          );
+        });
+    }
+    return this.loaded;
+  }
+
+  async persist() {
+    // Serialize writes; each one snapshots the current state. Write to a temp
+    // file first so a crash never leaves a truncated store.
+    const previous = (this.writing || Promise.resolve()).catch(() => {});
+    this.writing = previous.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const usage = [...this.usageByDay.entries()].map(([entryKey, entry]) => ({
+        key_id: entryKey.slice(0, entryKey.lastIndexOf("/")),
+        ...entry,
+      }));
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(
+        tmpPath,
+        JSON.stringify({ keys: [...this.keys.values()], usage })
+      );
+      await fs.rename(tmpPath, this.filePath);
+    });
+    return this.writing;
+  }
+
+  async create(key) {
+    await this.load();
+    const created = await super.create(key);
+    await this.persist();
+    return created;
+  }
+
+  async get(id) {
+    await this.load();
+    return super.get(id);
+  }
+
+  async findByHash(hash) {
+    await this.load();
+    return super.findByHash(hash);
+  }
+
+  async update(id, changes) {
+    await this.load();
+    const updated = await super.update(id, changes);
+    if (updated) {
+      await this.persist();
+    }
+    return updated;
+  }
+
+  async list() {
+    await this.load();
+    return super.list();
+  }
+
+  async addUsage(id, date, delta) {
+    await this.load();
+    const entry = await super.addUsage(id, date, delta);
+    await this.persist();
+    return entry;
+  }
+
+  async usage(id, since) {
+    await this.load();
+    return super.usage(id, since);
+  }
+}
+
+// SQLite adapter; needs the optional "better-sqlite3" package
+// (npm install better-sqlite3)
+class SqliteApiKeyStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.db = null;
+  }
+
+  async connect() {
+    if (!this.db) {
+      this.db = import("better-sqlite3")
+        .then(async ({ default: Database }) => {
+          await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+          const db = new Database(this.filePath);
+          db.exec(`
+            CREATE TABLE IF NOT EXISTS api_keys (
+              id TEXT PRIMARY KEY,
+              key_hash TEXT NOT NULL UNIQUE,
+              data TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS api_key_usage (
+              key_id TEXT NOT NULL,
+              date TEXT NOT NULL,
+              requests INTEGER NOT NULL DEFAULT 0,
+              area_ha_days REAL NOT NULL DEFAULT 0,
+              PRIMARY KEY (key_id, date)
+            );
+          `);
+          return db;
+        })
+        .catch((error) => {
+          this.db = null;
+          throw new Error(
+            `Failed to open SQLite API key store: ${error.message}`
+          );
+        });
+    }
+    return this.db;
+  }
+
+  async create(key) {
+    const db = await this.connect();
+    db.prepare(
+      "INSERT INTO api_keys (id, key_hash, data) VALUES (?, ?, ?)"
+    ).run(key.id, key.key_hash, JSON.stringify(key));
+    return { ...key };
+  }
+
+  async get(id) {
+    const db = await this.connect();
+    const row = db.prepare("SELECT data FROM api_keys WHERE id = ?").get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async findByHash(hash) {
+    const db = await this.connect();
+    const row = db
+      .prepare("SELECT data FROM api_keys WHERE key_hash = ?")
+      .get(hash);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async update(id, changes) {
+    const key = await this.get(id);
+    if (!key) {
+      return null;
+    }
+    const updated = { ...key, ...changes };
+    const db = await this.connect();
+    db.prepare("UPDATE api_keys SET data = ? WHERE id = ?").run(
+      JSON.stringify(updated),
+      id
+    );
+    return updated;
+  }
+
+  async list() {
+    const db = await this.connect();
+    return db
+      .prepare("SELECT data FROM api_keys")
+      .all()
+      .map((row) => JSON.parse(row.data));
+  }
+
+  async addUsage(id, date, delta) {
+    const db = await this.connect();
+    return db
+      .prepare(
+        `INSERT INTO api_key_usage (key_id, date, requests, area_ha_days)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT (key_id, date) DO UPDATE SET
+           requests = requests + excluded.requests,
+           area_ha_days = area_ha_days + excluded.area_ha_days
+         RETURNING date, requests, area_ha_days`
+      )
+      .get(id, date, delta.requests || 0, delta.area_ha_days || 0);
+  }
+
+  async usage(id, since) {
+    const db = await this.connect();
+    return db
+      .prepare(
+        `SELECT date, requests, area_ha_days FROM api_key_usage
+         WHERE key_id = ? AND date >= ? ORDER BY date`
+      )
+      .all(id, since);
+  }
+}
+
+const createApiKeyStore = (type, options = {}) => {
+  if (type === "file") {
+    return new FileApiKeyStore(options.path);
+  }
+  if (type === "sqlite") {
+    return new SqliteApiKeyStore(options.path);
+  }
+  return new MemoryApiKeyStore();
+};
+
+export {
+  MemoryApiKeyStore,
+  FileApiKeyStore,
+  SqliteApiKeyStore,
+  createApiKeyStore,
+};
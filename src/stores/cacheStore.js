@@ -0,0 +1,203 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Response cache stores. Every store exposes the same async interface:
+// get(key), set(key, entry, ttlSeconds), delete(key) and clear(prefix).
+// Entries are plain JSON objects; expired entries are never returned.
+
+const isExpired = (entry) => entry.expires_at <= Date.now();
+
+// Least recently used entries are evicted once maxEntries is reached
+class MemoryCacheStore {
+  constructor(maxEntries = 500) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    this.entries.delete(key);
+    if (isExpired(entry)) {
+      return null;
+    }
+    // Re-insert so the Map's insertion order tracks recency
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      ...entry,
+      expires_at: Date.now() + ttlSeconds * 1000,
+    });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  async clear(prefix = "") {
+    let removed = 0;
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+}
+
+// One JSON file per entry so large DEM responses survive restarts
+class FileCacheStore {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  // Keys are "<namespace>:<hash>"; keep them readable as file names
+  fileFor(key) {
+    return path.join(this.directory, `${key.replace(/[^\w-]/g, "_")}.json`);
+  }
+
+  async get(key) {
+    try {
+      const entry = JSON.parse(await fs.readFile(this.fileFor(key), "utf8"));
+      if (isExpired(entry)) {
+        await this.delete(key);
+        return null;
+      }
+      return entry;
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`Failed to read cache entry ${key}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  async set(key, entry, ttlSeconds) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const filePath = this.fileFor(key);
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(
+      tmpPath,
+      JSON.stringify({ ...entry, expires_at: Date.now() + ttlSeconds * 1000 })
+    );
+    await fs.rename(tmpPath, filePath);
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.fileFor(key));
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async clear(prefix = "") {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return 0;
+      }
+      throw error;
+    }
+
+    const filePrefix = prefix.replace(/[^\w-]/g, "_");
+    const matching = files.filter(
+      (file) => file.endsWith(".json") && file.startsWith(filePrefix)
+    );
+    await Promise.all(
+      matching.map((file) => fs.rm(path.join(this.directory, file)))
+    );
+    return matching.length;
+  }
+}
+
+// Redis adapter; needs the optional "redis" package (npm install redis)
+class RedisCacheStore {
+  constructor(url, keyPrefix = "geoapi:cache:") {
+    this.url = url;
+    this.keyPrefix = keyPrefix;
+    this.client = null;
+  }
+
+  async connect() {
+    if (!this.client) {
+      this.client = import("redis")
+        .then(async ({ createClient }) => {
+          const client = createClient({ url: this.url });
+          client.on("error", (error) =>
+            console.error("Redis cache error:", error.message)
+          );
+          await client.connect();
+          return client;
+        })
+        .catch((error) => {
+          this.client = null;
+          throw new Error(`Failed to connect to Redis cache: ${error.message}`);
+        });
+    }
+    return this.client;
+  }
+
+  async get(key) {
+    const client = await this.connect();
+    const value = await client.get(this.keyPrefix + key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(key, entry, ttlSeconds) {
+    const client = await this.connect();
+    const expiresAt = Date.now() + ttlSeconds * 1000;
+    await client.set(
+      this.keyPrefix + key,
+      JSON.stringify({ ...entry, expires_at: expiresAt }),
+      { EX: ttlSeconds }
+    );
+  }
+
+  async delete(key) {
+    const client = await this.connect();
+    return (await client.del(this.keyPrefix + key)) > 0;
+  }
+
+  async clear(prefix = "") {
+    const client = await this.connect();
+    let removed = 0;
+    // node-redis v4 yields single keys, v5 batches of keys
+    for await (const keys of client.scanIterator({
+      MATCH: `${this.keyPrefix}${prefix}*`,
+    })) {
+      for (const key of [].concat(keys)) {
+        removed += await client.del(key);
+      }
+    }
+    return removed;
+  }
+}
+
+const createCacheStore = (type, options = {}) => {
+  if (type === "file") {
+    return new FileCacheStore(options.path);
+  }
+  if (type === "redis") {
+    return new RedisCacheStore(options.url);
+  }
+  return new MemoryCacheStore(options.maxEntries);
+};
+
+export { MemoryCacheStore, FileCacheStore, RedisCacheStore, createCacheStore };
@@ -0,0 +1,122 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Local job state stores. Every store exposes the same async interface:
+// create(job), get(id), update(id, changes) and list().
+
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async create(job) {
+    this.jobs.set(job.id, { ...job });
+    return { ...job };
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  async update(id, changes) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+    const updated = {
+      ...job,
+      ...changes,
+      updated_at: new Date().toISOString(),
+    };
+    this.jobs.set(id, updated);
+    return { ...updated };
+  }
+
+  async list() {
+    return [...this.jobs.values()].map((job) => ({ ...job }));
+  }
+}
+
+// Persists jobs as a single JSON file so they survive restarts
+class FileJobStore extends MemoryJobStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.loaded = null;
+    this.writing = null;
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = fs
+        .readFile(this.filePath, "utf8")
+        .then((content) => {
+          for (const job of JSON.parse(content)) {
+            this.jobs.set(job.id, job);
+          }
+        })
+        .catch((error) => {
+          // A missing file is an empty store; anything else fails the
+          // operation rather than letting the next write replace the file
+          if (error.code === "ENOENT") {
+            return;
+          }
+          this.loaded = null;
+          throw new Error(
+            `Failed to read job store ${this.filePath}: ${error.message}`,
+            { cause: error }
+          );
+        });
+    }
+    return this.loaded;
+  }
+
+  async persist() {
+    // Serialize writes; each one snapshots the current state. Write to a temp
+    // file first so a crash never leaves a truncated store.
+    const previous = (this.writing || Promise.resolve()).catch(() => {});
+    this.writing = previous.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify([...this.jobs.values()]));
+      await fs.rename(tmpPath, this.filePath);
+    });
+    return this.writing;
+  }
+
+  async create(job) {
+    await this.load();
+    const created = await super.create(job);
+    await this.persist();
+    return created;
+  }
+
+  async get(id) {
+    await this.load();
+    return super.get(id);
+  }
+
+  async update(id, changes) {
+    await this.load();
+    const updated = await super.update(id, changes);
+    if (updated) {
+      await this.persist();
+    }
+    return updated;
+  }
+
+  async list() {
+    await this.load();
+    return super.list();
+  }
+}
+
+const createJobStore = (type, options = {}) => {
+  if (type === "file") {
+    return new FileJobStore(options.path);
+  }
+  return new MemoryJobStore();
+};
+
+export { MemoryJobStore, FileJobStore, createJobStore };
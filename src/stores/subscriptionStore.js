@@ -0,0 +1,217 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Subscription stores. Every store exposes the same async interface:
+// create(subscription), get(id), update(id, changes), delete(id), list(),
+// and for the webhook delivery log createDelivery(delivery),
+// updateDelivery(id, changes) and listDeliveries(subscriptionId), where
+// listDeliveries() without an id returns every delivery. Deleting a
+// subscription deletes its deliveries.
+
+class MemorySubscriptionStore {
+  constructor({ maxDeliveries = 100 } = {}) {
+    this.subscriptions = new Map();
+    this.deliveries = new Map();
+    // Delivery log entries kept per subscription, oldest dropped first
+    this.maxDeliveries = maxDeliveries;
+  }
+
+  async create(subscription) {
+    this.subscriptions.set(subscription.id, { ...subscription });
+    return { ...subscription };
+  }
+
+  async get(id) {
+    const subscription = this.subscriptions.get(id);
+    return subscription ? { ...subscription } : null;
+  }
+
+  async update(id, changes) {
+    const subscription = this.subscriptions.get(id);
+    if (!subscription) {
+      return null;
+    }
+    const updated = {
+      ...subscription,
+      ...changes,
+      updated_at: new Date().toISOString(),
+    };
+    this.subscriptions.set(id, updated);
+    return { ...updated };
+  }
+
+  async delete(id) {
+    const existed = this.subscriptions.delete(id);
+    for (const [deliveryId, delivery] of this.deliveries) {
+      if (delivery.subscription_id === id) {
+        this.deliveries.delete(deliveryId);
+      }
+    }
+    return existed;
+  }
+
+  async list() {
+    return [...this.subscriptions.values()].map((subscription) => ({
+      ...subscription,
+    }));
+  }
+
+  async createDelivery(delivery) {
+    this.deliveries.set(delivery.id, { ...delivery });
+    const own = [...this.deliveries.values()].filter(
+      (entry) => entry.subscription_id === delivery.subscription_id
+    );
+    // Map iteration follows insertion order: the oldest entries come first
+    for (const entry of own.slice(0, own.length - this.maxDeliveries)) {
+      this.deliveries.delete(entry.id);
+    }
+    return { ...delivery };
+  }
+
+  async updateDelivery(id, changes) {
+    const delivery = this.deliveries.get(id);
+    if (!delivery) {
+      return null;
+    }
+    const updated = { ...delivery, ...changes };
+    this.deliveries.set(id, updated);
+    return { ...updated };
+  }
+
+  async listDeliveries(subscriptionId) {
+    return [...this.deliveries.values()]
+      .filter(
+        (delivery) =>
+          !subscriptionId || delivery.subscription_id === subscriptionId
+      )
+      .map((delivery) => ({ ...delivery }));
+  }
+}
+
+// Persists subscriptions and deliveries as a single JSON file so they
+// survive restarts
+class FileSubscriptionStore extends MemorySubscriptionStore {
+  constructor(filePath, options) {
+    super(options);
+    this.filePath = filePath;
+    this.loaded = null;
+    this.writing = null;
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = fs
+        .readFile(this.filePath, "utf8")
+        .then((content) => {
+          const { subscriptions = [], deliveries = [] } = JSON.parse(content);
+          for (const subscription of subscriptions) {
+            this.subscriptions.set(subscription.id, subscription);
+          }
+          for (const delivery of deliveries) {
+            this.deliveries.set(delivery.id, delivery);
+          }
+        })
+        .catch((error) => {
+          // A missing file is an empty store; anything else fails the
+          // operation rather than letting the next write replace the file
+          if (error.code === "ENOENT") {
+            return;
+          }
+          this.loaded = null;
+          throw new Error(
+            `Failed to read subscription store ${this.filePath}: ${error.message}`,
+            { cause: error }
+          );
+        });
+    }
+    return this.loaded;
+  }
+
+  async persist() {
+    // Serialize writes; each one snapshots the current state. Write to a temp
+    // file first so a crash never leaves a truncated store.
+    const previous = (this.writing || Promise.resolve()).catch(() => {});
+    this.writing = previous.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(
+        tmpPath,
+        JSON.stringify({
+          subscriptions: [...this.subscriptions.values()],
+          deliveries: [...this.deliveries.values()],
+        })
+      );
+      await fs.rename(tmpPath, this.filePath);
+    });
+    return this.writing;
+  }
+
+  async create(subscription) {
+    await this.load();
+    const created = await super.create(subscription);
+    await this.persist();
+    return created;
+  }
+
+  async get(id) {
+    await this.load();
+    return super.get(id);
+  }
+
+  async update(id, changes) {
+    await this.load();
+    const updated = await super.update(id, changes);
+    if (updated) {
+      await this.persist();
+    }
+    return updated;
+  }
+
+  async delete(id) {
+    await this.load();
+    const existed = await super.delete(id);
+    if (existed) {
+      await this.persist();
+    }
+    return existed;
+  }
+
+  async list() {
+    await this.load();
+    return super.list();
+  }
+
+  async createDelivery(delivery) {
+    await this.load();
+    const created = await super.createDelivery(delivery);
+    await this.persist();
+    return created;
+  }
+
+  async updateDelivery(id, changes) {
+    await this.load();
+    const updated = await super.updateDelivery(id, changes);
+    if (updated) {
+      await this.persist();
+    }
+    return updated;
+  }
+
+  async listDeliveries(subscriptionId) {
+    await this.load();
+    return super.listDeliveries(subscriptionId);
+  }
+}
+
+const createSubscriptionStore = (type, options = {}) => {
+  if (type === "file") {
+    return new FileSubscriptionStore(options.path, options);
+  }
+  return new MemorySubscriptionStore(options);
+};
+
+export {
+  MemorySubscriptionStore,
+  FileSubscriptionStore,
+  createSubscriptionStore,
+};
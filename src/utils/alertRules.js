@@ -0,0 +1,78 @@
+// Alert rules of field monitoring subscriptions, evaluated on the polygon
+// mean of each new observation.
+
+const ALERT_RULE_TYPES = ["change", "threshold"];
+const CHANGE_DIRECTIONS = ["drop", "rise"];
+const THRESHOLD_OPERATORS = ["below", "above"];
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// Relative change of `value` against `previous` in percent; null when the
+// previous value is 0
+const changePercent = (value, previous) =>
+  previous === 0
+    ? null
+    : Math.round(((value - previous) / Math.abs(previous)) * 1000) / 10;
+
+const beyond = (rule, value) =>
+  rule.operator === "below" ? value < rule.value : value > rule.value;
+
+/**
+ * Whether an observation triggers a rule, given the previous valid
+ * observation (null for the first one):
+ * - { type: "change", direction: "drop" | "rise", percent }: the mean
+ *   changed by at least `percent` against the previous observation
+ * - { type: "threshold", operator: "below" | "above", value }: the mean
+ *   crossed the value; staying beyond it does not trigger again
+ */
+const triggers = (rule, observation, previous) => {
+  if (rule.type === "change") {
+    if (!previous) return false;
+    const change = changePercent(observation.mean, previous.mean);
+    if (change === null) return false;
+    return rule.direction === "rise"
+      ? change >= rule.percent
+      : change <= -rule.percent;
+  }
+  return (
+    beyond(rule, observation.mean) &&
+    (!previous || !beyond(rule, previous.mean))
+  );
+};
+
+/**
+ * Evaluate the rules on new observations (timeseries records, oldest first)
+ * following `previous`, the last valid observation of an earlier run.
+ * Observations without a mean (e.g. fully clouded) are skipped. Returns the
+ * alerts and the last valid observation.
+ */
+const evaluateRules = (rules, observations, previous = null) => {
+  const alerts = [];
+  let last = previous;
+  for (const observation of observations) {
+    if (observation.mean === null || observation.mean === undefined) continue;
+    rules.forEach((rule, index) => {
+      if (!triggers(rule, observation, last)) return;
+      alerts.push({
+        rule: index,
+        type: rule.type,
+        date: observation.date,
+        value: round(observation.mean),
+        ...(last && {
+          previous_date: last.date,
+          previous_value: round(last.mean),
+          change_percent: changePercent(observation.mean, last.mean),
+        }),
+      });
+    });
+    last = { date: observation.date, mean: observation.mean };
+  }
+  return { alerts, last };
+};
+
+export {
+  ALERT_RULE_TYPES,
+  CHANGE_DIRECTIONS,
+  THRESHOLD_OPERATORS,
+  evaluateRules,
+};
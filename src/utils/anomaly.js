@@ -0,0 +1,137 @@
+// Anomaly detection of an index timeseries against a multi-year baseline
+// (climatology) of the same period in prior years.
+
+import { smoothTimeseries } from "./smoothing.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDay = (date) => Math.round(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+
+const round = (value, decimals = 4) =>
+  Number.isFinite(value)
+    ? Math.round(value * 10 ** decimals) / 10 ** decimals
+    : null;
+
+/**
+ * Shift a YYYY-MM-DD date by a number of years (29 Feb rolls to 1 Mar).
+ */
+const shiftYears = (date, years) => {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCFullYear(shifted.getUTCFullYear() + years);
+  return shifted.toISOString().split("T")[0];
+};
+
+// Linear interpolation in a day-sorted series; null outside its range
+const valueAtDay = (series, day) => {
+  if (series.length === 0) return null;
+  if (day < series[0].day || day > series[series.length - 1].day) return null;
+  for (let i = 0; i < series.length - 1; i++) {
+    const a = series[i];
+    const b = series[i + 1];
+    if (day <= b.day) {
+      if (b.day === a.day) return a.value;
+      return a.value + ((day - a.day) / (b.day - a.day)) * (b.value - a.value);
+    }
+  }
+  return series[series.length - 1].value;
+};
+
+/**
+ * Compare timeseries records ({date, mean}) against baseline years.
+ *
+ * baselines: [{ year, yearOffset, records }] where yearOffset is the number
+ * of years the baseline period lies before the requested one (positive).
+ * options.threshold: absolute z-score from which a date is flagged.
+ * options.smoothing: smoothing applied to each baseline year before the
+ * per-date climatology (mean and standard deviation across years) is built.
+ */
+const detectAnomalies = (records, baselines, options = {}) => {
+  const { threshold = 1.5, smoothing } = options;
+
+  // Each baseline year smoothed and moved into the requested period
+  const baselineSeries = baselines.map(({ yearOffset, records: yearRecords }) =>
+    smoothTimeseries(yearRecords, smoothing)
+      .series.filter((point) => point.value !== null)
+      .map((point) => ({
+        day: toDay(shiftYears(point.date, yearOffset)),
+        value: point.value,
+      }))
+  );
+
+  const anomalies = (records || [])
+    .filter((record) => record.mean !== null && record.mean !== undefined)
+    .map((record) => {
+      const day = toDay(record.date);
+      const values = baselineSeries
+        .map((series) => valueAtDay(series, day))
+        .filter((value) => value !== null);
+
+      const n = values.length;
+      const mean = n > 0 ? values.reduce((sum, v) => sum + v, 0) / n : null;
+      // Sample standard deviation across baseline years
+      const stddev =
+        n > 1
+          ? Math.sqrt(
+              values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1)
+            )
+          : null;
+
+      const zScore = stddev ? (record.mean - mean) / stddev : null;
+      const percentDeviation = mean
+        ? ((record.mean - mean) / Math.abs(mean)) * 100
+        : null;
+
+      let anomaly = null;
+      if (zScore !== null && zScore <= -threshold) anomaly = "below";
+      if (zScore !== null && zScore >= threshold) anomaly = "above";
+
+      return {
+        date: record.date,
+        value: round(record.mean),
+        baseline_mean: round(mean),
+        baseline_stddev: round(stddev),
+        baseline_years_used: n,
+        z_score: round(zScore, 2),
+        percent_deviation: round(percentDeviation, 1),
+        anomaly,
+      };
+    });
+
+  // Consecutive flagged dates of the same kind form one anomaly period
+  const periods = [];
+  let current = null;
+  for (const entry of anomalies) {
+    if (entry.anomaly && current && current.type === entry.anomaly) {
+      current.end_date = entry.date;
+      current.observations += 1;
+      current.z_scores.push(entry.z_score);
+      continue;
+    }
+    if (current) periods.push(current);
+    current = entry.anomaly
+      ? {
+          type: entry.anomaly,
+          start_date: entry.date,
+          end_date: entry.date,
+          observations: 1,
+          z_scores: [entry.z_score],
+        }
+      : null;
+  }
+  if (current) periods.push(current);
+
+  return {
+    anomalies,
+    periods: periods.map(({ z_scores, ...period }) => ({
+      ...period,
+      mean_z_score: round(
+        z_scores.reduce((sum, z) => sum + z, 0) / z_scores.length,
+        2
+      ),
+      peak_z_score:
+        period.type === "below" ? Math.min(...z_scores) : Math.max(...z_scores),
+    })),
+  };
+};
+
+export { detectAnomalies, shiftYears };
@@ -0,0 +1,239 @@
+// Compiles band-math expressions such as "(B08-B04)/(B08+B04)" into an openEO
+// reducer process graph for reduce_dimension over the "bands" dimension.
+
+// Sentinel-2 L2A bands in collection order. Bands passed to load_collection
+// are sorted by this order so array_element indexes stay deterministic.
+const SENTINEL2_BANDS = [
+  "B01",
+  "B02",
+  "B03",
+  "B04",
+  "B05",
+  "B06",
+  "B07",
+  "B08",
+  "B8A",
+  "B09",
+  "B11",
+  "B12",
+];
+
+// Named presets. SENTINEL2_L2A values are reflectance scaled by 10000, so the
+// constant terms in EVI and SAVI are scaled by the same factor.
+const INDEX_PRESETS = {
+  NDVI: "(B08-B04)/(B08+B04)",
+  EVI: "2.5*(B08-B04)/(B08+6*B04-7.5*B02+10000)",
+  SAVI: "1.5*(B08-B04)/(B08+B04+5000)",
+  NDWI: "(B03-B08)/(B03+B08)",
+  NDMI: "(B08-B11)/(B08+B11)",
+  NBR: "(B08-B12)/(B08+B12)",
+};
+
+const MAX_EXPRESSION_LENGTH = 200;
+
+const OPERATORS = {
+  "+": "add",
+  "-": "subtract",
+  "*": "multiply",
+  "/": "divide",
+};
+
+const tokenize = (expression) => {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|(B\d{2}|B8A)|([-+*/()]))/y;
+  let position = 0;
+
+  while (position < expression.length) {
+    if (/^\s*$/.test(expression.slice(position))) break;
+
+    pattern.lastIndex = position;
+    const match = pattern.exec(expression);
+    if (!match) {
+      throw new Error(
+        `Unexpected character "${expression.slice(position).trim()[0]}" at position ${position}`
+      );
+    }
+
+    const [, number, band, symbol] = match;
+    if (number !== undefined) {
+      tokens.push({ type: "number", value: Number(number) });
+    } else if (band !== undefined) {
+      if (!SENTINEL2_BANDS.includes(band)) {
+        throw new Error(`Unknown band "${band}"`);
+      }
+      tokens.push({ type: "band", value: band });
+    } else {
+      tokens.push({ type: "symbol", value: symbol });
+    }
+    position = pattern.lastIndex;
+  }
+
+  return tokens;
+};
+
+// Recursive-descent parser producing a small AST:
+//   expr   := term (("+" | "-") term)*
+//   term   := unary (("*" | "/") unary)*
+//   unary  := "-" unary | factor
+//   factor := number | band | "(" expr ")"
+const parse = (tokens) => {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isSymbol = (value) =>
+    peek()?.type === "symbol" && peek().value === value;
+
+  const parseFactor = () => {
+    const token = tokens[index++];
+    if (!token) {
+      throw new Error("Unexpected end of expression");
+    }
+    if (token.type === "number") return { type: "number", value: token.value };
+    if (token.type === "band") return { type: "band", value: token.value };
+    if (token.value === "(") {
+      const node = parseExpression();
+      if (!isSymbol(")")) {
+        throw new Error("Missing closing parenthesis");
+      }
+      index++;
+      return node;
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  const parseUnary = () => {
+    if (isSymbol("-")) {
+      index++;
+      return { type: "negate", operand: parseUnary() };
+    }
+    return parseFactor();
+  };
+
+  const parseTerm = () => {
+    let node = parseUnary();
+    while (isSymbol("*") || isSymbol("/")) {
+      const operator = tokens[index++].value;
+      node = { type: "binary", operator, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseExpression = () => {
+    let node = parseTerm();
+    while (isSymbol("+") || isSymbol("-")) {
+      const operator = tokens[index++].value;
+      node = { type: "binary", operator, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  const ast = parseExpression();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected "${tokens[index].value}"`);
+  }
+  return ast;
+};
+
+const collectBands = (node, bands = new Set()) => {
+  if (node.type === "band") bands.add(node.value);
+  if (node.type === "negate") collectBands(node.operand, bands);
+  if (node.type === "binary") {
+    collectBands(node.left, bands);
+    collectBands(node.right, bands);
+  }
+  return bands;
+};
+
+/**
+ * Compile a band-math expression into the bands to load and a reducer
+ * process graph for reduce_dimension over "bands".
+ * Throws an Error describing the problem if the expression is invalid.
+ */
+const compileExpression = (expression) => {
+  if (typeof expression !== "string" || expression.trim() === "") {
+    throw new Error("Expression must be a non-empty string");
+  }
+  if (expression.length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(
+      `Expression must be at most ${MAX_EXPRESSION_LENGTH} characters`
+    );
+  }
+
+  const ast = parse(tokenize(expression));
+  const bands = [...collectBands(ast)].sort(
+    (a, b) => SENTINEL2_BANDS.indexOf(a) - SENTINEL2_BANDS.indexOf(b)
+  );
+  if (bands.length === 0) {
+    throw new Error("Expression must reference at least one band");
+  }
+
+  const processGraph = {};
+  const counters = {};
+  const bandNodes = {};
+
+  const nextNodeId = (processId) => {
+    const name = processId.replace(/_/g, "");
+    counters[name] = (counters[name] || 0) + 1;
+    return `${name}${counters[name]}`;
+  };
+
+  // Returns either a literal number or a { from_node } reference
+  const emit = (node) => {
+    if (node.type === "number") return node.value;
+
+    if (node.type === "band") {
+      if (!bandNodes[node.value]) {
+        const nodeId = nextNodeId("array_element");
+        processGraph[nodeId] = {
+          process_id: "array_element",
+          arguments: {
+            data: { from_parameter: "data" },
+            index: bands.indexOf(node.value),
+          },
+        };
+        bandNodes[node.value] = nodeId;
+      }
+      return { from_node: bandNodes[node.value] };
+    }
+
+    if (node.type === "negate") {
+      const nodeId = nextNodeId("multiply");
+      processGraph[nodeId] = {
+        process_id: "multiply",
+        arguments: { x: -1, y: emit(node.operand) },
+      };
+      return { from_node: nodeId };
+    }
+
+    const processId = OPERATORS[node.operator];
+    const x = emit(node.left);
+    const y = emit(node.right);
+    const nodeId = nextNodeId(processId);
+    processGraph[nodeId] = { process_id: processId, arguments: { x, y } };
+    return { from_node: nodeId };
+  };
+
+  const result = emit(ast);
+  processGraph[result.from_node].result = true;
+
+  return { bands, processGraph };
+};
+
+/**
+ * Resolve an index preset name or a custom expression into a compiled index.
+ * Defaults to NDVI when neither is given.
+ */
+const resolveIndex = ({ index, expression } = {}) => {
+  if (expression) {
+    return { name: "CUSTOM", expression, ...compileExpression(expression) };
+  }
+
+  const name = (index || "NDVI").toUpperCase();
+  const preset = INDEX_PRESETS[name];
+  if (!preset) {
+    throw new Error(`Unknown index preset "${index}"`);
+  }
+  return { name, expression: preset, ...compileExpression(preset) };
+};
+
+export { INDEX_PRESETS, SENTINEL2_BANDS, compileExpression, resolveIndex };
@@ -0,0 +1,128 @@
+// Builds the cloud-masking parts of the Sentinel-2 timeseries process graph.
+
+// Scene classification (SCL) classes treated as invalid:
+// 0 no data, 1 saturated/defective, 3 cloud shadow, 8 cloud medium
+// probability, 9 cloud high probability, 10 thin cirrus, 11 snow/ice
+const SCL_INVALID_CLASSES = [0, 1, 3, 8, 9, 10, 11];
+
+const CLOUD_MASK_METHODS = ["none", "scl", "probability"];
+
+// Band loaded alongside the index bands for each masking method. CLD is the
+// Sen2Cor cloud probability (0-100) shipped with SENTINEL2_L2A.
+const MASK_BANDS = {
+  scl: "SCL",
+  probability: "CLD",
+};
+
+const DEFAULT_CLOUD_PROBABILITY_THRESHOLD = 40;
+
+// Labels of the bands dimension produced by buildMaskedIndexProcess
+const MASKED_BAND_LABELS = ["index", "valid_fraction"];
+
+/**
+ * load_collection `properties` filter keeping scenes with
+ * eo:cloud_cover <= maxCloudCover.
+ */
+const cloudCoverFilter = (maxCloudCover) => ({
+  "eo:cloud_cover": {
+    process_graph: {
+      cloudcover1: {
+        process_id: "lte",
+        arguments: {
+          x: { from_parameter: "value" },
+          y: maxCloudCover,
+        },
+        result: true,
+      },
+    },
+  },
+});
+
+/**
+ * Wrap a compiled spectral index (see bandMath.resolveIndex) into an
+ * apply_dimension process over "bands" returning two values per pixel:
+ * the index where the pixel is valid (null otherwise) and a 1/0 validity
+ * flag. Averaging the flag over a polygon yields the valid-pixel fraction.
+ */
+const buildMaskedIndexProcess = (spectralIndex, options = {}) => {
+  const { method = "scl", probabilityThreshold } = options;
+  const maskBand = MASK_BANDS[method];
+  if (!maskBand) {
+    throw new Error(`Unknown cloud mask method "${method}"`);
+  }
+
+  const bands = [...spectralIndex.bands, maskBand];
+
+  // Copy the index graph and demote its result node to an intermediate one
+  const processGraph = {};
+  let indexNode;
+  for (const [nodeId, node] of Object.entries(spectralIndex.processGraph)) {
+    const { result, ...rest } = node;
+    processGraph[nodeId] = rest;
+    if (result) indexNode = nodeId;
+  }
+
+  processGraph.maskband1 = {
+    process_id: "array_element",
+    arguments: {
+      data: { from_parameter: "data" },
+      index: bands.length - 1,
+    },
+  };
+
+  if (method === "scl") {
+    processGraph.invalidpixel1 = {
+      process_id: "array_contains",
+      arguments: {
+        data: SCL_INVALID_CLASSES,
+        value: { from_node: "maskband1" },
+      },
+    };
+  } else {
+    processGraph.invalidpixel1 = {
+      process_id: "gt",
+      arguments: {
+        x: { from_node: "maskband1" },
+        y: probabilityThreshold ?? DEFAULT_CLOUD_PROBABILITY_THRESHOLD,
+      },
+    };
+  }
+
+  processGraph.validpixel1 = {
+    process_id: "not",
+    arguments: { x: { from_node: "invalidpixel1" } },
+  };
+  processGraph.maskedindex1 = {
+    process_id: "if",
+    arguments: {
+      value: { from_node: "validpixel1" },
+      accept: { from_node: indexNode },
+    },
+  };
+  processGraph.validflag1 = {
+    process_id: "if",
+    arguments: {
+      value: { from_node: "validpixel1" },
+      accept: 1,
+      reject: 0,
+    },
+  };
+  processGraph.arraycreate1 = {
+    process_id: "array_create",
+    arguments: {
+      data: [{ from_node: "maskedindex1" }, { from_node: "validflag1" }],
+    },
+    result: true,
+  };
+
+  return { bands, processGraph };
+};
+
+export {
+  CLOUD_MASK_METHODS,
+  DEFAULT_CLOUD_PROBABILITY_THRESHOLD,
+  MASKED_BAND_LABELS,
+  SCL_INVALID_CLASSES,
+  buildMaskedIndexProcess,
+  cloudCoverFilter,
+};
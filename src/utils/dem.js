@@ -0,0 +1,243 @@
+// Parsing and transformation of openEO DEM responses into the /dem/clip format.
+
+import { booleanPointInPolygon, bbox as turfBbox } from "@turf/turf";
+import { computeTerrain, isGeographic } from "./terrain.js";
+
+// Pixel size in metres of the Copernicus DEM products
+const DEM_RESOLUTIONS = {
+  "GLO-30": 30,
+  "GLO-90": 90,
+  "EEA-10": 10,
+};
+
+// openEO JSON output may contain bare NaN/Infinity values; parse defensively
+const parseDemData = (data) => {
+  let parsedData = data;
+  try {
+    // If data is a stringified JSON, parse it
+    if (typeof data === "string") {
+      // Handle NaN values and other special cases before parsing
+      let cleanedData = data
+        .replace(/:\s*NaN\s*([,\}])/g, ": null$1") // Replace NaN with null
+        .replace(/:\s*Infinity\s*([,\}])/g, ": null$1") // Replace Infinity with null
+        .replace(/:\s*-Infinity\s*([,\}])/g, ": null$1"); // Replace -Infinity with null
+
+      parsedData = JSON.parse(cleanedData);
+    }
+  } catch (error) {
+    console.warn("Failed to parse JSON data:", error.message);
+    // Try alternative parsing - split by lines and reconstruct
+    try {
+      if (typeof data === "string" && data.includes('"nodata":NaN')) {
+        console.log("Attempting alternative JSON parsing...");
+        // Use eval in a safe context as last resort (only for known openEO responses)
+        const safeEval = new Function("return " + data.replace(/NaN/g, "null"));
+        parsedData = safeEval();
+        console.log("Alternative parsing successful");
+      } else {
+        parsedData = data; // fallback to original data
+      }
+    } catch (evalError) {
+      console.warn("Alternative parsing also failed:", evalError.message);
+      parsedData = data; // final fallback to original data
+    }
+  }
+
+  return parsedData;
+};
+
+// Filter out nodata values
+const isValidElevation = (elevation) =>
+  elevation !== null &&
+  elevation !== undefined &&
+  !isNaN(elevation) &&
+  elevation !== 19.5 && // Common SRTM nodata value
+  elevation !== -9999 && // Common nodata value
+  elevation !== -32768 && // Common nodata value
+  elevation > -1000 && // Reasonable bounds
+  elevation < 10000;
+
+/**
+ * Whether a grid cell lies inside a GeoJSON Polygon/MultiPolygon (holes
+ * excluded), by its centre coordinate. Only grids in longitude/latitude can
+ * be tested; projected grids rely on the mask_polygon of the process graph.
+ */
+const insideGeometry = (geometry, xCoords, yCoords, crs) => {
+  if (!geometry || !isGeographic(crs, xCoords, yCoords)) {
+    return () => true;
+  }
+
+  const [west, south, east, north] = turfBbox(geometry);
+  const cache = new Map();
+  return (yIdx, xIdx) => {
+    const key = yIdx * xCoords.length + xIdx;
+    if (!cache.has(key)) {
+      const x = xCoords[xIdx];
+      const y = yCoords[yIdx];
+      cache.set(
+        key,
+        x >= west &&
+          x <= east &&
+          y >= south &&
+          y <= north &&
+          booleanPointInPolygon([x, y], geometry)
+      );
+    }
+    return cache.get(key);
+  };
+};
+
+// Helper function to transform DEM data into user-friendly format.
+// options.geometry (GeoJSON) keeps only points inside the field;
+// options.derivatives adds terrain derivatives (see terrain.js) to each point.
+const transformDemData = (demData, options = {}) => {
+  try {
+    if (!demData || !demData.data || !Array.isArray(demData.data)) {
+      return null;
+    }
+
+    const elevationArray = demData.data[0]; // First (and only) band
+    if (!Array.isArray(elevationArray)) {
+      return null;
+    }
+
+    // Get coordinate arrays
+    const xCoords = demData.coords?.x?.data || [];
+    const yCoords = demData.coords?.y?.data || [];
+
+    if (xCoords.length === 0 || yCoords.length === 0) {
+      console.warn("No coordinate data found");
+      return null;
+    }
+
+    const isInside = insideGeometry(
+      options.geometry,
+      xCoords,
+      yCoords,
+      demData.attrs?.crs
+    );
+
+    const derivatives = options.derivatives || [];
+    const terrain =
+      derivatives.length > 0
+        ? computeTerrain(elevationArray, xCoords, yCoords, demData.attrs?.crs, {
+            derivatives,
+            hillshade: options.hillshade,
+            isValid: isValidElevation,
+            isInside,
+          })
+        : null;
+
+    // Transform to user-friendly format: array of {x, y, elevation} objects
+    const points = [];
+    const validElevations = [];
+
+    for (let yIdx = 0; yIdx < elevationArray.length; yIdx++) {
+      const row = elevationArray[yIdx];
+      if (!Array.isArray(row)) continue;
+
+      for (let xIdx = 0; xIdx < row.length; xIdx++) {
+        const elevation = row[xIdx];
+
+        if (
+          isValidElevation(elevation) &&
+          xIdx < xCoords.length &&
+          yIdx < yCoords.length &&
+          isInside(yIdx, xIdx)
+        ) {
+          const point = {
+            x: Math.round(xCoords[xIdx] * 1000000) / 1000000, // Round to 6 decimal places
+            y: Math.round(yCoords[yIdx] * 1000000) / 1000000,
+            elevation: Math.round(elevation * 100) / 100, // Round to 2 decimal places
+            // Derivatives are null at the grid edge and next to nodata
+            ...(terrain && (terrain.grid[yIdx]?.[xIdx] || terrain.empty)),
+          };
+          points.push(point);
+          validElevations.push(elevation);
+        }
+      }
+    }
+
+    if (validElevations.length === 0) {
+      return null;
+    }
+
+    // Calculate statistics
+    const min = Math.min(...validElevations);
+    const max = Math.max(...validElevations);
+    const mean =
+      validElevations.reduce((sum, val) => sum + val, 0) /
+      validElevations.length;
+
+    const sorted = [...validElevations].sort((a, b) => a - b);
+    const median =
+      sorted.length % 2 === 0
+        ? (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2
+        : sorted[Math.floor(sorted.length / 2)];
+
+    const variance =
+      validElevations.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) /
+      validElevations.length;
+    const stddev = Math.sqrt(variance);
+
+    return {
+      points,
+      statistics: {
+        min: Math.round(min * 100) / 100,
+        max: Math.round(max * 100) / 100,
+        mean: Math.round(mean * 100) / 100,
+        median: Math.round(median * 100) / 100,
+        stddev: Math.round(stddev * 100) / 100,
+        count: validElevations.length,
+        units: "meters",
+      },
+      metadata: {
+        gridSize: {
+          width: xCoords.length,
+          height: yCoords.length,
+        },
+        bounds: {
+          minX: Math.min(...xCoords),
+          maxX: Math.max(...xCoords),
+          minY: Math.min(...yCoords),
+          maxY: Math.max(...yCoords),
+        },
+        crs: demData.attrs?.crs || "Unknown",
+      },
+      ...(terrain && {
+        terrain: {
+          derivatives,
+          cellSize: terrain.cellSize,
+          statistics: terrain.statistics,
+        },
+      }),
+    };
+  } catch (error) {
+    console.warn("Failed to transform DEM data:", error.message);
+    return null;
+  }
+};
+
+// Build the /dem/clip response body from a raw openEO DEM result
+// (options: the request polygon as GeoJSON, derivatives and hillshade)
+const buildDemResponse = (data, options = {}) => {
+  const parsedData = parseDemData(data);
+
+  // Transform DEM data into user-friendly format
+  const transformedData = transformDemData(parsedData, options);
+
+  return {
+    success: true,
+    // User-friendly format: array of {x, y, elevation} points
+    ...(transformedData && {
+      elevationPoints: transformedData.points,
+      statistics: transformedData.statistics,
+      // metadata: transformedData.metadata,
+      ...(transformedData.terrain && { terrain: transformedData.terrain }),
+    }),
+    // Original raw data (optional, for advanced users)
+    rawData: parsedData,
+  };
+};
+
+export { DEM_RESOLUTIONS, buildDemResponse, parseDemData, transformDemData };
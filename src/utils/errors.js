@@ -0,0 +1,249 @@
+// Typed API errors. Each carries the HTTP status and machine-readable code the
+// global error handler in app.js renders, plus the upstream openEO error
+// (status, code, message, request id) when it was caused by the backend.
+
+class ApiError extends Error {
+  static status = 500;
+  static code = "internal_error";
+  static title = "Internal server error";
+
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = options.status ?? this.constructor.status;
+    this.code = options.code ?? this.constructor.code;
+    this.title = this.constructor.title;
+    this.upstream = options.upstream || null;
+    this.retryAfter = options.retryAfter ?? null;
+  }
+
+  // Response body: { error, code, message, upstream? }
+  toJSON() {
+    return {
+      error: this.title,
+      code: this.code,
+      message: this.message,
+      ...(this.upstream && { upstream: this.upstream }),
+    };
+  }
+}
+
+// Missing, unknown or revoked API key
+class UnauthorizedError extends ApiError {
+  static status = 401;
+  static code = "unauthorized";
+  static title = "Unauthorized";
+}
+
+// The API key lacks the scope of the route
+class ForbiddenError extends ApiError {
+  static status = 403;
+  static code = "insufficient_scope";
+  static title = "Forbidden";
+}
+
+// The backend rejected our credentials or token
+class OpenEOAuthError extends ApiError {
+  static status = 401;
+  static code = "openeo_auth_failed";
+  static title = "Authentication failed";
+}
+
+class CollectionNotFoundError extends ApiError {
+  static status = 404;
+  static code = "collection_not_found";
+  static title = "Not Found";
+}
+
+// No observations for the requested extent and dates
+class NoDataError extends ApiError {
+  static status = 422;
+  static code = "no_data";
+  static title = "No data";
+}
+
+// A result too large to post-process within the configured limits
+class GridTooLargeError extends ApiError {
+  static status = 422;
+  static code = "too_many_pixels";
+  static title = "Result too large";
+}
+
+// Rate limit ("rate_limited") or exhausted quota ("quota_exceeded") of the
+// backend or of the API key
+class RateLimitError extends ApiError {
+  static status = 429;
+  static code = "rate_limited";
+  static title = "Too many requests";
+}
+
+class UpstreamTimeoutError extends ApiError {
+  static status = 504;
+  static code = "openeo_timeout";
+  static title = "Gateway timeout";
+}
+
+// The backend rejected the process graph, or lacks a process it needs
+class InvalidProcessGraphError extends ApiError {
+  static status = 422;
+  static code = "invalid_process_graph";
+  static title = "Invalid process graph";
+}
+
+// Requests fail fast while the circuit breaker is open (services/httpClient.js)
+class CircuitOpenError extends ApiError {
+  static status = 503;
+  static code = "openeo_unavailable";
+  static title = "Service unavailable";
+}
+
+// Any other backend failure
+class UpstreamError extends ApiError {
+  static status = 502;
+  static code = "openeo_error";
+  static title = "Bad gateway";
+}
+
+const AUTH_CODES = [
+  "AuthenticationRequired",
+  "AuthenticationSchemeInvalid",
+  "CredentialsInvalid",
+  "TokenInvalid",
+  "PermissionsInsufficient",
+];
+const TIMEOUT_CODES = ["ECONNABORTED", "ETIMEDOUT"];
+
+const parseBody = (data) => {
+  const text = Buffer.isBuffer(data) ? data.toString("utf8") : data;
+  if (typeof text !== "string") {
+    return data && typeof data === "object" ? data : null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Status, openEO error code, message and request id of a failed backend
+ * response; null for errors without a response (network, timeout). OAuth
+ * token endpoints report `error` and `error_description` instead.
+ */
+const upstreamDetails = (error) => {
+  const response = error.response;
+  if (!response) {
+    return null;
+  }
+  const body = parseBody(response.data) || {};
+  const headers = response.headers || {};
+  return {
+    status: response.status,
+    code: body.code ?? body.error ?? null,
+    message: body.message ?? body.error_description ?? null,
+    request_id:
+      body.id ?? headers["x-request-id"] ?? headers["request-id"] ?? null,
+  };
+};
+
+// Retry-After header in seconds (delay or HTTP date)
+const retryAfterOf = (error) => {
+  const value = error.response?.headers?.["retry-after"];
+  if (value === undefined) {
+    return null;
+  }
+  const seconds = Number(value);
+  return Number.isFinite(seconds)
+    ? seconds
+    : Math.max(0, Math.ceil((Date.parse(value) - Date.now()) / 1000)) || null;
+};
+
+const NO_DATA_MESSAGE =
+  /no (data|products|tiles|observations|scenes)\b.*\b(available|found)|empty (data ?cube|result)/i;
+
+/**
+ * Typed error for a failed openEO (axios) request. `message` describes the
+ * failed operation; the upstream message is appended. ApiErrors pass through
+ * unchanged so nested service calls keep the innermost classification.
+ */
+const fromOpenEOError = (error, message) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  const upstream = upstreamDetails(error);
+  const options = { upstream, cause: error };
+  const fullMessage = upstream?.message
+    ? `${message}: ${upstream.message}`
+    : message;
+  const status = upstream?.status;
+  const code = String(upstream?.code ?? "");
+
+  if (
+    (!upstream && TIMEOUT_CODES.includes(error.code)) ||
+    status === 408 ||
+    status === 504
+  ) {
+    return new UpstreamTimeoutError(fullMessage, options);
+  }
+  if (status === 429 || /TooManyRequests|RateLimit/i.test(code)) {
+    return new RateLimitError(fullMessage, {
+      ...options,
+      retryAfter: retryAfterOf(error),
+    });
+  }
+  if (status === 402 || /Payment|Quota|Credit/i.test(code)) {
+    return new RateLimitError(fullMessage, {
+      ...options,
+      code: "quota_exceeded",
+      retryAfter: retryAfterOf(error),
+    });
+  }
+  if (status === 401 || status === 403 || AUTH_CODES.includes(code)) {
+    return new OpenEOAuthError(fullMessage, options);
+  }
+  if (code === "CollectionNotFound") {
+    return new CollectionNotFoundError(fullMessage, options);
+  }
+  if (/NoData/i.test(code) || NO_DATA_MESSAGE.test(upstream?.message || "")) {
+    return new NoDataError(fullMessage, options);
+  }
+  if (/^Process/.test(code) || status === 400) {
+    return new InvalidProcessGraphError(fullMessage, options);
+  }
+  return new UpstreamError(fullMessage, options);
+};
+
+/**
+ * Read the body of a failed streamed request (responseType "stream") so the
+ * openEO error in it can be classified.
+ */
+const bufferErrorBody = async (error) => {
+  const data = error.response?.data;
+  if (data && typeof data.pipe === "function") {
+    const chunks = [];
+    for await (const chunk of data) {
+      chunks.push(Buffer.from(chunk));
+    }
+    error.response.data = Buffer.concat(chunks);
+  }
+  return error;
+};
+
+export {
+  ApiError,
+  CircuitOpenError,
+  CollectionNotFoundError,
+  ForbiddenError,
+  GridTooLargeError,
+  InvalidProcessGraphError,
+  NoDataError,
+  OpenEOAuthError,
+  RateLimitError,
+  UnauthorizedError,
+  UpstreamError,
+  UpstreamTimeoutError,
+  bufferErrorBody,
+  fromOpenEOError,
+  retryAfterOf,
+};
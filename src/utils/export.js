@@ -0,0 +1,134 @@
+// Alternative representations of the JSON responses of /ndvi/timeseries and
+// /dem/clip: tidy CSV, GeoJSON and newline-delimited JSON.
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  geojson: { contentType: "application/geo+json", extension: "geojson" },
+  ndjson: { contentType: "application/x-ndjson", extension: "ndjson" },
+};
+
+// Media types for Accept negotiation, JSON first so "*/*" keeps JSON
+const EXPORT_MEDIA_TYPES = {
+  "application/json": "json",
+  "text/csv": "csv",
+  "application/geo+json": "geojson",
+  "application/x-ndjson": "ndjson",
+};
+
+// RFC 4180 field: quoted when it contains a separator, quote or line break
+const csvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const text =
+    typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows, columns) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((values) => values.map(csvValue).join(","))
+    .join("\r\n") + "\r\n";
+
+const toNdjson = (rows) =>
+  rows.map((row) => `${JSON.stringify(row)}\n`).join("");
+
+// Columns in first-seen order across all rows
+const columnsOf = (rows) => [...new Set(rows.flatMap(Object.keys))];
+
+// Per-field results of a timeseries response; a single polygon is "field-1"
+const timeseriesResults = (body) =>
+  body.fields
+    ? Object.entries(body.fields)
+    : body.timeseries
+      ? [
+          [
+            "field-1",
+            {
+              timeseries: body.timeseries,
+              smoothed: body.smoothed,
+              summary: body.summary,
+            },
+          ],
+        ]
+      : [];
+
+/**
+ * One row per field and date (and sensor): the per-date statistics and, with
+ * smoothing, the smoothed value on its own date grid (joined by date).
+ */
+const timeseriesRows = (body) =>
+  timeseriesResults(body).flatMap(([fieldId, result]) => {
+    // Multi-sensor series have one row per date and sensor; smoothed values
+    // join the first row of their date
+    const rows = new Map();
+    const firstRowOfDate = new Map();
+    const rowFor = (date, sensor) => {
+      const key = sensor ? `${date}/${sensor}` : date;
+      if (!sensor && firstRowOfDate.has(date)) {
+        return firstRowOfDate.get(date);
+      }
+      if (!rows.has(key)) {
+        rows.set(key, { field_id: fieldId, date });
+        if (!firstRowOfDate.has(date)) firstRowOfDate.set(date, rows.get(key));
+      }
+      return rows.get(key);
+    };
+    for (const record of result.timeseries || []) {
+      Object.assign(rowFor(record.date, record.sensor), record);
+    }
+    for (const point of result.smoothed?.series || []) {
+      Object.assign(rowFor(point.date), {
+        smoothed: point.value,
+        gap_filled: point.gap_filled,
+      });
+    }
+    return [...rows.values()].sort((a, b) => a.date.localeCompare(b.date));
+  });
+
+/**
+ * FeatureCollection of the fields with their series in the properties.
+ * `fields` is the request's normalized FeatureCollection (loadFields).
+ */
+const timeseriesGeoJSON = (body, fields) => {
+  const results = Object.fromEntries(timeseriesResults(body));
+  return {
+    type: "FeatureCollection",
+    features: fields.features.map((feature, i) => {
+      const id = feature.id ?? `field-${i + 1}`;
+      const { properties, ...result } = results[id] || {};
+      return {
+        type: "Feature",
+        id,
+        geometry: feature.geometry,
+        properties: { ...feature.properties, ...result },
+      };
+    }),
+  };
+};
+
+// One row per elevation point, with its terrain derivatives
+const demRows = (body) => body.elevationPoints || [];
+
+// Elevation points as GeoJSON Points; statistics and terrain summary are
+// kept as foreign members
+const demGeoJSON = (body) => ({
+  type: "FeatureCollection",
+  features: demRows(body).map(({ x, y, ...properties }) => ({
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [x, y] },
+    properties,
+  })),
+  ...(body.statistics && { statistics: body.statistics }),
+  ...(body.terrain && { terrain: body.terrain }),
+});
+
+export {
+  EXPORT_FORMATS,
+  EXPORT_MEDIA_TYPES,
+  columnsOf,
+  demGeoJSON,
+  demRows,
+  timeseriesGeoJSON,
+  timeseriesRows,
+  toCsv,
+  toNdjson,
+};
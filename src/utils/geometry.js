@@ -0,0 +1,363 @@
+// Validation and repair of request polygons: single polygon rings, GeoJSON
+// Polygon/MultiPolygon geometries and FeatureCollections of fields. Problems
+// are reported with the feature, polygon, ring and vertex they were found at.
+
+import {
+  area,
+  booleanPointInPolygon,
+  pointOnFeature,
+  polygon as turfPolygon,
+  rewind,
+  unkinkPolygon,
+} from "@turf/turf";
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+// "feature 2, polygon 0, ring 1, vertex 3"
+const describeLocation = (location) =>
+  ["feature", "polygon", "ring", "vertex"]
+    .filter((key) => location[key] !== undefined)
+    .map((key) => `${key} ${location[key]}`)
+    .join(", ");
+
+const geometryError = (code, location, message) => {
+  const where = describeLocation(location);
+  return {
+    code,
+    message: where ? `${where}: ${message}` : message,
+    ...location,
+  };
+};
+
+// Sign of the turn p -> q -> r (0 when collinear)
+const orientation = (p, q, r) =>
+  Math.sign((q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]));
+
+// Whether q lies within the bounding box of segment p-r
+const withinSegment = (p, q, r) =>
+  q[0] >= Math.min(p[0], r[0]) &&
+  q[0] <= Math.max(p[0], r[0]) &&
+  q[1] >= Math.min(p[1], r[1]) &&
+  q[1] <= Math.max(p[1], r[1]);
+
+// Segments p1-p2 and q1-q2 cross or touch
+const segmentsIntersect = (p1, p2, q1, q2) => {
+  const o1 = orientation(p1, p2, q1);
+  const o2 = orientation(p1, p2, q2);
+  const o3 = orientation(q1, q2, p1);
+  const o4 = orientation(q1, q2, p2);
+  if (o1 !== o2 && o3 !== o4) return true;
+  return (
+    (o1 === 0 && withinSegment(p1, q1, p2)) ||
+    (o2 === 0 && withinSegment(p1, q2, p2)) ||
+    (o3 === 0 && withinSegment(q1, p1, q2)) ||
+    (o4 === 0 && withinSegment(q1, p2, q2))
+  );
+};
+
+/**
+ * First pair of non-adjacent edges of a closed ring that intersect, as
+ * [i, j] where edge i runs from vertex i to vertex i + 1; null if simple.
+ * Sweeps the edges along the axis they extend least in, so only edges with
+ * overlapping bounding boxes are tested instead of every pair.
+ */
+const findSelfIntersection = (ring) => {
+  const edges = ring.length - 1;
+  const spans = [0, 0];
+  const bounds = Array.from({ length: edges }, (_, i) => {
+    const [a, b] = [ring[i], ring[i + 1]];
+    spans[0] += Math.abs(b[0] - a[0]);
+    spans[1] += Math.abs(b[1] - a[1]);
+    return [
+      Math.min(a[0], b[0]),
+      Math.max(a[0], b[0]),
+      Math.min(a[1], b[1]),
+      Math.max(a[1], b[1]),
+    ];
+  });
+  // [min, max] of the sweep axis, then of the other one
+  const [lo, hi, otherLo, otherHi] =
+    spans[0] <= spans[1] ? [0, 1, 2, 3] : [2, 3, 0, 1];
+  const order = bounds
+    .map((_, i) => i)
+    .sort((i, j) => bounds[i][lo] - bounds[j][lo]);
+
+  let first = null;
+  let active = [];
+  for (const i of order) {
+    const box = bounds[i];
+    active = active.filter((j) => bounds[j][hi] >= box[lo]);
+    for (const j of active) {
+      const [a, b] = i < j ? [i, j] : [j, i];
+      if (b - a < 2 || (a === 0 && b === edges - 1)) continue; // adjacent
+      if (
+        bounds[j][otherLo] > box[otherHi] ||
+        bounds[j][otherHi] < box[otherLo]
+      ) {
+        continue;
+      }
+      if (first && (a > first[0] || (a === first[0] && b > first[1]))) {
+        continue;
+      }
+      if (segmentsIntersect(ring[a], ring[a + 1], ring[b], ring[b + 1])) {
+        first = [a, b];
+      }
+    }
+    active.push(i);
+  }
+  return first;
+};
+
+// Split a self-intersecting ring into simple rings
+const unkinkRing = (ring) =>
+  unkinkPolygon(turfPolygon([ring])).features.map(
+    (feature) => feature.geometry.coordinates[0]
+  );
+
+/**
+ * Check the rings of one polygon: coordinate bounds, closure, distinct
+ * vertices, self-intersections and holes inside the outer ring. With
+ * options.repair, duplicate vertices are dropped, rings closed, rewound
+ * (outer ring counterclockwise, holes clockwise) and self-intersecting rings
+ * split, so one polygon may become several. Returns { polygons, errors }.
+ */
+const checkPolygon = (rings, location, options) => {
+  const errors = [];
+
+  const closed = rings.map((ring, r) => {
+    const ringLocation = { ...location, ring: r };
+    ring.forEach(([lon, lat], vertex) => {
+      if (!(Math.abs(lon) <= 180 && Math.abs(lat) <= 90)) {
+        errors.push(
+          geometryError(
+            "coordinate_out_of_range",
+            { ...ringLocation, vertex },
+            `[${lon}, ${lat}] is outside longitude -180..180 / latitude -90..90`
+          )
+        );
+      }
+    });
+
+    let positions = options.repair
+      ? ring.filter(
+          (position, v) => v === 0 || !samePosition(position, ring[v - 1])
+        )
+      : ring;
+    if (!samePosition(positions[0], positions[positions.length - 1])) {
+      if (options.repair) {
+        positions = [...positions, positions[0]];
+      } else {
+        errors.push(
+          geometryError(
+            "ring_not_closed",
+            { ...ringLocation, vertex: positions.length - 1 },
+            "ring is not closed, its last position must equal the first"
+          )
+        );
+      }
+    }
+    if (new Set(positions.map(String)).size < 3) {
+      errors.push(
+        geometryError(
+          "too_few_vertices",
+          ringLocation,
+          "ring needs at least 3 distinct positions"
+        )
+      );
+    }
+    return positions;
+  });
+  if (errors.length > 0) {
+    return { polygons: [], errors };
+  }
+
+  const kinked = closed.map(findSelfIntersection);
+  if (!options.repair) {
+    kinked.forEach((edges, r) => {
+      if (!edges) return;
+      const [i, j] = edges;
+      errors.push(
+        geometryError(
+          "self_intersection",
+          { ...location, ring: r, vertex: i },
+          `edge ${i}-${i + 1} intersects edge ${j}-${j + 1}`
+        )
+      );
+    });
+    closed.slice(1).forEach((hole, h) => {
+      const shell = turfPolygon([closed[0]]);
+      const vertex = hole.findIndex(
+        (position) => !booleanPointInPolygon(position, shell)
+      );
+      if (vertex !== -1) {
+        errors.push(
+          geometryError(
+            "hole_outside_shell",
+            { ...location, ring: h + 1, vertex },
+            "hole vertex lies outside the outer ring"
+          )
+        );
+      }
+    });
+    return { polygons: errors.length > 0 ? [] : [closed], errors };
+  }
+
+  // Split self-intersecting rings; each hole piece goes to the outer ring
+  // piece containing it
+  const [shell, ...holes] = closed.map((ring, r) =>
+    kinked[r] ? unkinkRing(ring) : [ring]
+  );
+  const holePieces = holes.flat();
+  const polygons = shell.map((outer) => {
+    const outerPolygon = turfPolygon([outer]);
+    return [
+      outer,
+      ...holePieces.filter((hole) =>
+        booleanPointInPolygon(pointOnFeature(turfPolygon([hole])), outerPolygon)
+      ),
+    ];
+  });
+  const assigned = polygons.reduce((sum, rings) => sum + rings.length - 1, 0);
+  if (assigned < holePieces.length) {
+    errors.push(
+      geometryError(
+        "hole_outside_shell",
+        location,
+        "a hole lies outside the outer ring"
+      )
+    );
+  }
+
+  return {
+    polygons: polygons.map(
+      (polygonRings) => rewind(turfPolygon(polygonRings)).geometry.coordinates
+    ),
+    errors,
+  };
+};
+
+// Vertex count limit of a whole geometry; null when within it
+const checkVertices = (geometry, location, options) => {
+  const vertices = geometry.coordinates.flat(
+    geometry.type === "Polygon" ? 1 : 2
+  ).length;
+  return options.maxVertices && vertices > options.maxVertices
+    ? geometryError(
+        "too_many_vertices",
+        location,
+        `${vertices} vertices exceed the limit of ${options.maxVertices}`
+      )
+    : null;
+};
+
+// Vertex count and area (hectares) limits of a whole geometry
+const checkSize = (geometry, location, options) => {
+  const errors = [];
+  const tooManyVertices = checkVertices(geometry, location, options);
+  if (tooManyVertices) {
+    errors.push(tooManyVertices);
+  }
+
+  const areaHa = area(geometry) / 10000;
+  if (options.minAreaHa && areaHa < options.minAreaHa) {
+    errors.push(
+      geometryError(
+        "area_too_small",
+        location,
+        `area of ${areaHa.toFixed(4)} ha is below the minimum of ${options.minAreaHa} ha`
+      )
+    );
+  }
+  if (options.maxAreaHa && areaHa > options.maxAreaHa) {
+    errors.push(
+      geometryError(
+        "area_too_large",
+        location,
+        `area of ${Math.round(areaHa)} ha exceeds the limit of ${options.maxAreaHa} ha`
+      )
+    );
+  }
+  return errors;
+};
+
+// Check a GeoJSON Polygon or MultiPolygon; a repaired Polygon that was split
+// becomes a MultiPolygon
+const checkGeometry = (geometry, location, options) => {
+  // Oversized geometries are rejected before the per-ring checks
+  const tooManyVertices = checkVertices(geometry, location, options);
+  if (tooManyVertices) {
+    return { geometry, errors: [tooManyVertices] };
+  }
+
+  const parts =
+    geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  const errors = [];
+  const polygons = [];
+  parts.forEach((rings, p) => {
+    const result = checkPolygon(
+      rings,
+      geometry.type === "MultiPolygon" ? { ...location, polygon: p } : location,
+      options
+    );
+    errors.push(...result.errors);
+    polygons.push(...result.polygons);
+  });
+  if (errors.length > 0) {
+    return { geometry, errors };
+  }
+
+  const checked =
+    geometry.type === "Polygon" && polygons.length === 1
+      ? { type: "Polygon", coordinates: polygons[0] }
+      : { type: "MultiPolygon", coordinates: polygons };
+  return { geometry: checked, errors: checkSize(checked, location, options) };
+};
+
+/**
+ * Validate (and with options.repair, repair) polygon rings, a GeoJSON
+ * Polygon/MultiPolygon or a FeatureCollection of them.
+ *
+ * options: repair, minAreaHa, maxAreaHa and maxVertices (per geometry).
+ * Returns { geometry, errors } where geometry has the input's form and
+ * errors are { code, message, feature?, polygon?, ring?, vertex? }.
+ */
+const validateGeometry = (input, options = {}) => {
+  if (Array.isArray(input)) {
+    const result = checkGeometry(
+      { type: "Polygon", coordinates: input },
+      {},
+      options
+    );
+    if (result.errors.length === 0 && result.geometry.type !== "Polygon") {
+      return {
+        geometry: input,
+        errors: [
+          geometryError(
+            "self_intersection",
+            { ring: 0 },
+            `repairing the ring splits it into ${result.geometry.coordinates.length} polygons, send it as a GeoJSON MultiPolygon geometry`
+          ),
+        ],
+      };
+    }
+    return { geometry: result.geometry.coordinates, errors: result.errors };
+  }
+
+  if (input.type === "FeatureCollection") {
+    const errors = [];
+    const features = input.features.map((feature, index) => {
+      const result = checkGeometry(
+        feature.geometry,
+        { feature: index },
+        options
+      );
+      errors.push(...result.errors);
+      return { ...feature, geometry: result.geometry };
+    });
+    return { geometry: { ...input, features }, errors };
+  }
+
+  return checkGeometry(input, {}, options);
+};
+
+export { validateGeometry };
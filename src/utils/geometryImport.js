@@ -0,0 +1,227 @@
+// Geometry uploads: GeoJSON, KML/KMZ, zipped Shapefiles and WKT, normalized
+// into a FeatureCollection of Polygon/MultiPolygon features in EPSG:4326
+// (the form accepted as `geometry` and used by openeoService.loadFields).
+
+import path from "path";
+import JSZip from "jszip";
+import proj4 from "proj4";
+import shp from "shpjs";
+import { kml } from "@tmcw/togeojson";
+import { DOMParser } from "@xmldom/xmldom";
+import { wktToGeoJSON } from "@terraformer/wkt";
+
+const FORMAT_EXTENSIONS = {
+  ".geojson": "geojson",
+  ".json": "geojson",
+  ".kml": "kml",
+  ".kmz": "kmz",
+  ".zip": "shapefile",
+  ".wkt": "wkt",
+  ".txt": "wkt",
+};
+
+// Upload format from the file extension, else from the content
+const detectFormat = (file) => {
+  const format =
+    FORMAT_EXTENSIONS[path.extname(file.originalname || "").toLowerCase()];
+  if (format) {
+    return format;
+  }
+  if (file.buffer[0] === 0x50 && file.buffer[1] === 0x4b) {
+    return "zip"; // "PK": KMZ or zipped Shapefile
+  }
+  const text = file.buffer.toString("utf8", 0, 200).trimStart();
+  if (text.startsWith("{")) return "geojson";
+  if (text.startsWith("<")) return "kml";
+  return "wkt";
+};
+
+// "EPSG:3857" from EPSG codes, URNs ("urn:ogc:def:crs:EPSG::3857") and the
+// GeoJSON 2008 `crs` member; null for WGS84 longitude/latitude
+const normalizeCrs = (crs) => {
+  const name = typeof crs === "object" ? crs?.properties?.name : crs;
+  if (name === undefined || name === null || name === "") {
+    return null;
+  }
+  const text = String(name).trim();
+  if (/CRS84$/i.test(text)) {
+    return null;
+  }
+  const code = text.match(
+    /^(?:(?:urn:ogc:def:crs:)?EPSG:{1,2}(?:[\d.]+:)?)?(\d{4,5})$/i
+  )?.[1];
+  if (!code) {
+    throw new Error(`Unsupported CRS "${text}", use an EPSG code`);
+  }
+  return code === "4326" ? null : `EPSG:${code}`;
+};
+
+// proj4 definition of an EPSG code: the proj4 built-ins (EPSG:3857,
+// EPSG:4269) plus WGS84 (326xx/327xx) and ETRS89 (258xx) UTM zones
+const projectionFor = (crs) => {
+  if (proj4.defs(crs)) {
+    return proj4.defs(crs);
+  }
+  const code = Number(crs.split(":")[1]);
+  if (code >= 32601 && code <= 32660) {
+    return `+proj=utm +zone=${code - 32600} +datum=WGS84 +units=m +no_defs`;
+  }
+  if (code >= 32701 && code <= 32760) {
+    return `+proj=utm +zone=${code - 32700} +south +datum=WGS84 +units=m +no_defs`;
+  }
+  if (code >= 25828 && code <= 25838) {
+    return `+proj=utm +zone=${code - 25800} +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs`;
+  }
+  throw new Error(`Unsupported CRS ${crs}`);
+};
+
+const mapPolygonPositions = (geometry, transform) => ({
+  type: geometry.type,
+  coordinates:
+    geometry.type === "Polygon"
+      ? geometry.coordinates.map((ring) => ring.map(transform))
+      : geometry.coordinates.map((rings) =>
+          rings.map((ring) => ring.map(transform))
+        ),
+});
+
+// Polygon parts of a geometry; GeometryCollections (e.g. KML
+// MultiGeometry) are merged, points and lines are dropped
+const polygonsOf = (geometry) => {
+  if (!geometry) return [];
+  if (geometry.type === "Polygon") return [geometry.coordinates];
+  if (geometry.type === "MultiPolygon") return geometry.coordinates;
+  if (geometry.type === "GeometryCollection") {
+    return geometry.geometries.flatMap(polygonsOf);
+  }
+  return [];
+};
+
+const polygonGeometry = (polygons) =>
+  polygons.length === 1
+    ? { type: "Polygon", coordinates: polygons[0] }
+    : { type: "MultiPolygon", coordinates: polygons };
+
+/**
+ * FeatureCollection of the polygon features of any GeoJSON object, with
+ * positions reduced to [lon, lat] (dropping altitudes) and reprojected from
+ * `crs` to EPSG:4326.
+ */
+const toFeatureCollection = (geojson, crs = null) => {
+  const features =
+    geojson.type === "FeatureCollection"
+      ? geojson.features
+      : geojson.type === "Feature"
+        ? [geojson]
+        : [{ type: "Feature", properties: {}, geometry: geojson }];
+
+  const source = normalizeCrs(crs ?? geojson.crs);
+  const toLonLat = source
+    ? proj4(projectionFor(source), "EPSG:4326").forward
+    : (position) => position;
+
+  const polygonFeatures = features
+    .map((feature) => ({ feature, polygons: polygonsOf(feature.geometry) }))
+    .filter(({ polygons }) => polygons.length > 0)
+    .map(({ feature, polygons }) => ({
+      type: "Feature",
+      ...(feature.id !== undefined && { id: feature.id }),
+      properties: feature.properties || {},
+      geometry: mapPolygonPositions(polygonGeometry(polygons), ([x, y]) =>
+        toLonLat([x, y])
+      ),
+    }));
+
+  if (polygonFeatures.length === 0) {
+    throw new Error("No Polygon or MultiPolygon geometries found");
+  }
+  return { type: "FeatureCollection", features: polygonFeatures };
+};
+
+// WKT or EWKT ("SRID=3857;POLYGON(...)")
+const parseWkt = (text, crs) => {
+  const [, srid, wkt] = text.trim().match(/^(?:SRID=(\d+);)?([\s\S]*)$/i);
+  let geometry;
+  try {
+    geometry = wktToGeoJSON(wkt);
+  } catch (error) {
+    throw new Error(`Invalid WKT: ${error.message}`);
+  }
+  return toFeatureCollection(geometry, crs ?? (srid && `EPSG:${srid}`));
+};
+
+const parseKml = (text) => {
+  const document = new DOMParser().parseFromString(text, "text/xml");
+  if (!document.documentElement) {
+    throw new Error("Invalid KML document");
+  }
+  return toFeatureCollection(kml(document));
+};
+
+// KMZ or zipped Shapefile, by the archive content
+const parseZip = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const kmlFile = zip.file(/\.kml$/i)[0];
+  if (kmlFile) {
+    return {
+      format: "kmz",
+      geometry: parseKml(await kmlFile.async("string")),
+    };
+  }
+  if (zip.file(/\.shp$/i).length === 0) {
+    throw new Error("Zip archive contains neither a .kml nor a .shp file");
+  }
+  // shpjs reprojects using the .prj of each Shapefile
+  const layers = [].concat(await shp(buffer));
+  return {
+    format: "shapefile",
+    geometry: toFeatureCollection({
+      type: "FeatureCollection",
+      features: layers.flatMap((layer) => layer.features),
+    }),
+  };
+};
+
+/**
+ * Parse an uploaded geometry file (multer file object) or WKT string.
+ * options.crs overrides the CRS of GeoJSON and WKT input; KML is always
+ * WGS84 and Shapefiles use their .prj. Returns { format, geometry }.
+ */
+const parseGeometryUpload = async (file, options = {}) => {
+  const crs = options.crs || null;
+  if (!file) {
+    return { format: "wkt", geometry: parseWkt(options.wkt || "", crs) };
+  }
+
+  const format = detectFormat(file);
+  try {
+    if (format === "geojson") {
+      const geojson = JSON.parse(file.buffer.toString("utf8"));
+      return { format, geometry: toFeatureCollection(geojson, crs) };
+    }
+    if (format === "kml") {
+      return { format, geometry: parseKml(file.buffer.toString("utf8")) };
+    }
+    if (format === "wkt") {
+      return { format, geometry: parseWkt(file.buffer.toString("utf8"), crs) };
+    }
+    return await parseZip(file.buffer);
+  } catch (error) {
+    throw new Error(
+      `Failed to parse ${file.originalname || "upload"}: ${error.message}`
+    );
+  }
+};
+
+/**
+ * All polygons of a FeatureCollection as one Polygon or MultiPolygon
+ * geometry, for endpoints taking a single geometry (e.g. /dem/clip).
+ */
+const mergePolygons = (featureCollection) =>
+  polygonGeometry(
+    featureCollection.features.flatMap((feature) =>
+      polygonsOf(feature.geometry)
+    )
+  );
+
+export { mergePolygons, parseGeometryUpload, toFeatureCollection };
@@ -0,0 +1,203 @@
+// Crop phenology metrics from a regular, smoothed index series
+// (see smoothing.smoothTimeseries).
+
+const PHENOLOGY_METHODS = ["threshold", "derivative"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDay = (date) => Math.round(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+
+const fromDay = (day) =>
+  new Date(Math.round(day) * DAY_MS).toISOString().split("T")[0];
+
+const round = (value, decimals = 4) =>
+  Number.isFinite(value)
+    ? Math.round(value * 10 ** decimals) / 10 ** decimals
+    : null;
+
+const argMin = (values, from, to) => {
+  let best = from;
+  for (let i = from; i <= to; i++) {
+    if (values[i] < values[best]) best = i;
+  }
+  return best;
+};
+
+// Local maxima whose prominence (height above the higher of the two
+// surrounding minima) is at least minAmplitude
+const findPeaks = (values, minAmplitude) => {
+  const n = values.length;
+  const peaks = [];
+
+  for (let i = 0; i < n; i++) {
+    const left = i === 0 ? -Infinity : values[i - 1];
+    const right = i === n - 1 ? -Infinity : values[i + 1];
+    // Plateaus count once, at their first sample
+    if (!(values[i] > left && values[i] >= right)) continue;
+
+    let leftMin = values[i];
+    for (let k = i - 1; k >= 0 && values[k] <= values[i]; k--) {
+      leftMin = Math.min(leftMin, values[k]);
+    }
+    let rightMin = values[i];
+    for (let k = i + 1; k < n && values[k] <= values[i]; k++) {
+      rightMin = Math.min(rightMin, values[k]);
+    }
+
+    if (values[i] - Math.max(leftMin, rightMin) >= minAmplitude) {
+      peaks.push(i);
+    }
+  }
+
+  return peaks;
+};
+
+// Fractional day at which the series crosses `level` between i and i + 1
+const crossingDay = (days, values, i, level) => {
+  const span = values[i + 1] - values[i];
+  if (span === 0) return days[i];
+  const t = Math.min(Math.max((level - values[i]) / span, 0), 1);
+  return days[i] + t * (days[i + 1] - days[i]);
+};
+
+// Value at a fractional day by linear interpolation
+const valueAtDay = (days, values, day) => {
+  for (let i = 0; i < days.length - 1; i++) {
+    if (day <= days[i + 1]) {
+      const t = (day - days[i]) / (days[i + 1] - days[i]);
+      return values[i] + t * (values[i + 1] - values[i]);
+    }
+  }
+  return values[values.length - 1];
+};
+
+// Trapezoidal integral of (value - base) over [startDay, endDay]
+const integrate = (days, values, startDay, endDay, base = 0) => {
+  const points = [[startDay, valueAtDay(days, values, startDay)]];
+  days.forEach((day, i) => {
+    if (day > startDay && day < endDay) points.push([day, values[i]]);
+  });
+  points.push([endDay, valueAtDay(days, values, endDay)]);
+
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    const [d0, v0] = points[i - 1];
+    const [d1, v1] = points[i];
+    total += ((v0 - base + (v1 - base)) / 2) * (d1 - d0);
+  }
+  return total;
+};
+
+// Start/end of season for one season spanning [left, peak, right]
+const seasonBounds = (days, values, left, peak, right, options) => {
+  if (options.method === "derivative") {
+    // Steepest green-up before the peak and steepest senescence after it
+    let sos = left;
+    for (let i = left; i < peak; i++) {
+      if (values[i + 1] - values[i] > values[sos + 1] - values[sos]) sos = i;
+    }
+    let eos = peak;
+    for (let i = peak; i < right; i++) {
+      if (values[i + 1] - values[i] < values[eos + 1] - values[eos]) eos = i;
+    }
+    return {
+      sosDay: peak > left ? (days[sos] + days[sos + 1]) / 2 : days[peak],
+      eosDay: right > peak ? (days[eos] + days[eos + 1]) / 2 : days[peak],
+    };
+  }
+
+  // Threshold: fraction of the amplitude above each side's base value
+  const sosLevel =
+    values[left] + options.threshold * (values[peak] - values[left]);
+  const eosLevel =
+    values[right] + options.threshold * (values[peak] - values[right]);
+
+  let sosDay = days[peak];
+  for (let i = left; i < peak; i++) {
+    if (values[i + 1] >= sosLevel) {
+      sosDay = crossingDay(days, values, i, sosLevel);
+      break;
+    }
+  }
+  let eosDay = days[peak];
+  for (let i = right - 1; i >= peak; i--) {
+    if (values[i] >= eosLevel) {
+      eosDay = crossingDay(days, values, i, eosLevel);
+      break;
+    }
+  }
+  return { sosDay, eosDay };
+};
+
+/**
+ * Detect growing seasons in a regular series of {date, value} and compute
+ * start/end/peak of season, length, amplitude and integrated index.
+ *
+ * options.method: "threshold" (fraction `threshold` of the seasonal
+ * amplitude) or "derivative" (steepest increase/decrease).
+ * options.minAmplitude: minimum peak prominence for a season.
+ */
+const detectSeasons = (series, options = {}) => {
+  const settings = {
+    method: options.method || "threshold",
+    threshold: options.threshold ?? 0.5,
+    minAmplitude: options.minAmplitude ?? 0.1,
+  };
+
+  const points = (series || []).filter((point) => Number.isFinite(point.value));
+  if (points.length < 3) {
+    return [];
+  }
+
+  const days = points.map((point) => toDay(point.date));
+  const values = points.map((point) => point.value);
+  const peaks = findPeaks(values, settings.minAmplitude);
+
+  return peaks.map((peak, k) => {
+    // Seasons are separated by the lowest point between neighbouring peaks
+    const left =
+      k === 0 ? argMin(values, 0, peak) : argMin(values, peaks[k - 1], peak);
+    const right =
+      k === peaks.length - 1
+        ? argMin(values, peak, values.length - 1)
+        : argMin(values, peak, peaks[k + 1]);
+
+    const { sosDay, eosDay } = seasonBounds(
+      days,
+      values,
+      left,
+      peak,
+      right,
+      settings
+    );
+    const base = (values[left] + values[right]) / 2;
+
+    return {
+      season: k + 1,
+      year: Number(fromDay(days[peak]).slice(0, 4)),
+      start_of_season: {
+        date: fromDay(sosDay),
+        value: round(valueAtDay(days, values, sosDay)),
+      },
+      peak: {
+        date: fromDay(days[peak]),
+        value: round(values[peak]),
+      },
+      end_of_season: {
+        date: fromDay(eosDay),
+        value: round(valueAtDay(days, values, eosDay)),
+      },
+      length_days: Math.round(eosDay - sosDay),
+      amplitude: round(values[peak] - base),
+      base_value: round(base),
+      // Index x days between start and end of season
+      integral: round(integrate(days, values, sosDay, eosDay), 2),
+      integral_above_base: round(
+        integrate(days, values, sosDay, eosDay, base),
+        2
+      ),
+    };
+  });
+};
+
+export { PHENOLOGY_METHODS, detectSeasons };
@@ -0,0 +1,136 @@
+// Raster output formats (save_result) and PNG quick-look colour ramps.
+
+// Formats accepted by the API, mapped to the openEO save_result format,
+// response content type and file extension
+const RASTER_FORMATS = {
+  GTiff: { contentType: "image/tiff", extension: "tif" },
+  netCDF: { contentType: "application/x-netcdf", extension: "nc" },
+  PNG: { contentType: "image/png", extension: "png" },
+};
+
+// Colour ramps as [position 0-1, [r, g, b]] stops
+const COLOR_RAMPS = {
+  ndvi: [
+    [0, [165, 0, 38]],
+    [0.25, [244, 109, 67]],
+    [0.5, [255, 255, 191]],
+    [0.75, [102, 189, 99]],
+    [1, [0, 104, 55]],
+  ],
+  terrain: [
+    [0, [0, 97, 71]],
+    [0.25, [16, 122, 47]],
+    [0.5, [232, 215, 125]],
+    [0.75, [161, 67, 0]],
+    [1, [255, 255, 255]],
+  ],
+  greys: [
+    [0, [0, 0, 0]],
+    [1, [255, 255, 255]],
+  ],
+};
+
+// Colour at a position of a ramp, linearly interpolated between stops
+const rampColor = (stops, position) => {
+  const upper = stops.findIndex(([stop]) => stop >= position);
+  if (upper <= 0) return stops[Math.max(upper, 0)][1];
+  const [p0, c0] = stops[upper - 1];
+  const [p1, c1] = stops[upper];
+  const t = (position - p0) / (p1 - p0);
+  return c0.map((channel, i) => Math.round(channel + t * (c1[i] - channel)));
+};
+
+/**
+ * Colormap for save_result PNG options: byte value (1-255) to RGBA in 0-1.
+ * Byte 0 is kept transparent for nodata/masked pixels.
+ */
+const buildColormap = (rampName) => {
+  const stops = COLOR_RAMPS[rampName] || COLOR_RAMPS.greys;
+  const colormap = { 0: [0, 0, 0, 0] };
+  for (let value = 1; value <= 255; value++) {
+    const [r, g, b] = rampColor(stops, (value - 1) / 254);
+    colormap[value] = [r / 255, g / 255, b / 255, 1];
+  }
+  return colormap;
+};
+
+/**
+ * Result nodes for a raster download from `fromNode`. PNG quick-looks are
+ * stretched from [min, max] to bytes 1-255 and coloured with the ramp.
+ */
+const rasterSaveNodes = (fromNode, format, quicklook = {}) => {
+  if (format !== "PNG") {
+    return {
+      save: {
+        process_id: "save_result",
+        arguments: { data: { from_node: fromNode }, format },
+        result: true,
+      },
+    };
+  }
+
+  return {
+    scale: {
+      process_id: "apply",
+      arguments: {
+        data: { from_node: fromNode },
+        process: {
+          process_graph: {
+            linearscalerange1: {
+              process_id: "linear_scale_range",
+              arguments: {
+                x: { from_parameter: "x" },
+                inputMin: quicklook.min,
+                inputMax: quicklook.max,
+                outputMin: 1,
+                outputMax: 255,
+              },
+              result: true,
+            },
+          },
+        },
+      },
+    },
+    save: {
+      process_id: "save_result",
+      arguments: {
+        data: { from_node: "scale" },
+        format: "PNG",
+        options: { colormap: buildColormap(quicklook.color_ramp) },
+      },
+      result: true,
+    },
+  };
+};
+
+// Download file name, e.g. dem-GLO-30.tif
+const rasterFilename = (parts, format) =>
+  `${parts.filter(Boolean).join("-")}.${RASTER_FORMATS[format].extension}`;
+
+// Send a raster result (see openeoService.executeRaster) as a download;
+// PNG quick-looks are shown inline
+const streamRaster = (res, raster, format, filename) => {
+  const disposition = format === "PNG" ? "inline" : "attachment";
+  res.set({
+    "Content-Type": RASTER_FORMATS[format].contentType,
+    "Content-Disposition": `${disposition}; filename="${filename}"`,
+  });
+  if (raster.contentLength) {
+    res.set("Content-Length", raster.contentLength);
+  }
+
+  raster.stream.on("error", (error) => {
+    console.error("Error streaming raster result:", error.message);
+    res.destroy(error);
+  });
+  raster.stream.pipe(res);
+};
+
+export {
+  COLOR_RAMPS,
+  RASTER_FORMATS,
+  buildColormap,
+  rasterFilename,
+  rasterSaveNodes,
+  streamRaster,
+};
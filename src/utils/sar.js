@@ -0,0 +1,105 @@
+// Builds the Sentinel-1 radar vegetation index parts of the SAR timeseries
+// process graph.
+
+// Dual-polarization modes of Sentinel-1 GRD as [co-pol, cross-pol] bands.
+// VV+VH is acquired over most land, HH+HV over polar regions.
+const SAR_POLARIZATIONS = {
+  "VV+VH": ["VV", "VH"],
+  "HH+HV": ["HH", "HV"],
+};
+
+const ORBIT_DIRECTIONS = ["ascending", "descending", "both"];
+
+// Backscatter coefficient requested from sar_backscatter (linear power)
+const SAR_BACKSCATTER_COEFFICIENT = "sigma0-ellipsoid";
+
+// Labels of the bands dimension produced by buildSarIndexProcess; the index
+// band comes first so the timeseries statistics describe the RVI
+const SAR_BAND_LABELS = ["rvi", "vh_vv_ratio"];
+
+/**
+ * load_collection `properties` filter keeping scenes of one orbit direction;
+ * null for both.
+ */
+const orbitDirectionFilter = (orbitDirection) =>
+  orbitDirection && orbitDirection !== "both"
+    ? {
+        "sat:orbit_state": {
+          process_graph: {
+            orbitstate1: {
+              process_id: "eq",
+              arguments: {
+                x: { from_parameter: "value" },
+                y: orbitDirection,
+              },
+              result: true,
+            },
+          },
+        },
+      }
+    : null;
+
+/**
+ * apply_dimension process over "bands" of [co-pol, cross-pol] sigma0 returning
+ * two values per pixel: the radar vegetation index 4·cross / (co + cross)
+ * and the cross/co ratio (VH/VV, or HV/HH for HH+HV).
+ */
+const buildSarIndexProcess = () => ({
+  process_graph: {
+    copol1: {
+      process_id: "array_element",
+      arguments: { data: { from_parameter: "data" }, index: 0 },
+    },
+    crosspol1: {
+      process_id: "array_element",
+      arguments: { data: { from_parameter: "data" }, index: 1 },
+    },
+    total1: {
+      process_id: "add",
+      arguments: { x: { from_node: "copol1" }, y: { from_node: "crosspol1" } },
+    },
+    crosspol4: {
+      process_id: "multiply",
+      arguments: { x: 4, y: { from_node: "crosspol1" } },
+    },
+    rvi1: {
+      process_id: "divide",
+      arguments: { x: { from_node: "crosspol4" }, y: { from_node: "total1" } },
+    },
+    ratio1: {
+      process_id: "divide",
+      arguments: {
+        x: { from_node: "crosspol1" },
+        y: { from_node: "copol1" },
+      },
+    },
+    arraycreate1: {
+      process_id: "array_create",
+      arguments: {
+        data: [{ from_node: "rvi1" }, { from_node: "ratio1" }],
+      },
+      result: true,
+    },
+  },
+});
+
+/**
+ * Transformation metadata from validated SAR request parameters: the RVI
+ * statistics plus the polygon mean of the ratio band per date.
+ */
+const sarMeta = (params) => ({
+  index: "RVI",
+  startDate: new Date(params.start_date).toISOString().split("T")[0],
+  endDate: new Date(params.end_date).toISOString().split("T")[0],
+  extraBands: SAR_BAND_LABELS.slice(1),
+});
+
+export {
+  ORBIT_DIRECTIONS,
+  SAR_BACKSCATTER_COEFFICIENT,
+  SAR_BAND_LABELS,
+  SAR_POLARIZATIONS,
+  buildSarIndexProcess,
+  orbitDirectionFilter,
+  sarMeta,
+};
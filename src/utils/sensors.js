@@ -0,0 +1,155 @@
+// Optical sensors the NDVI timeseries can be computed from, and the
+// cross-sensor harmonization of their observations.
+
+/**
+ * Red and NIR bands and the scaling of their values to surface reflectance
+ * (reflectance = value * scale + offset) per sensor. `collection` is the key
+ * of the provider's collection id in config.provider.collections; `since` the
+ * first full year of data; `resolution` the pixel size in metres and
+ * `revisit` the nominal days between observations of the constellation.
+ * SENTINEL2_L2A serves reflectance × 10000; Landsat Collection 2 Level-2
+ * serves digital numbers with the USGS scale factor and offset.
+ */
+const SENSORS = {
+  sentinel2: {
+    title: "Sentinel-2 MSI",
+    collection: "sentinel2",
+    red: "B04",
+    nir: "B08",
+    scale: 0.0001,
+    offset: 0,
+    since: 2015,
+    resolution: 10,
+    revisit: 5,
+  },
+  landsat: {
+    title: "Landsat 8/9 OLI",
+    collection: "landsat",
+    red: "B04",
+    nir: "B05",
+    scale: 0.0000275,
+    offset: -0.2,
+    since: 2013,
+    resolution: 30,
+    revisit: 8,
+  },
+};
+
+// Observations of two sensors at most this many days apart are compared for
+// the bias correction, which needs at least MIN_BIAS_PAIRS such pairs
+const BIAS_MAX_DAYS = 3;
+const MIN_BIAS_PAIRS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// Scaled reflectance of the band at `index` of the reduced bands array
+const reflectanceNodes = (prefix, index, { scale, offset }) => ({
+  [`${prefix}1`]: {
+    process_id: "array_element",
+    arguments: { data: { from_parameter: "data" }, index },
+  },
+  [`${prefix}scaled1`]: {
+    process_id: "multiply",
+    arguments: { x: { from_node: `${prefix}1` }, y: scale },
+  },
+  [`${prefix}reflectance1`]: {
+    process_id: "add",
+    arguments: { x: { from_node: `${prefix}scaled1` }, y: offset },
+  },
+});
+
+/**
+ * NDVI of a sensor from its reflectance-scaled red and NIR bands, in the
+ * shape of bandMath.resolveIndex: { name, expression, bands, processGraph }
+ * for reduce_dimension over "bands".
+ */
+const sensorNDVI = (name) => {
+  const sensor = SENSORS[name];
+  return {
+    name: "NDVI",
+    expression: `(${sensor.nir}-${sensor.red})/(${sensor.nir}+${sensor.red}) on ${sensor.title} reflectance`,
+    bands: [sensor.red, sensor.nir],
+    processGraph: {
+      ...reflectanceNodes("red", 0, sensor),
+      ...reflectanceNodes("nir", 1, sensor),
+      ndvi1: {
+        process_id: "normalized_difference",
+        arguments: {
+          x: { from_node: "nirreflectance1" },
+          y: { from_node: "redreflectance1" },
+        },
+        result: true,
+      },
+    },
+  };
+};
+
+const toTime = (date) => Date.parse(`${date}T00:00:00Z`);
+
+/**
+ * Shift the observations of every other sensor onto the `reference` sensor:
+ * the offset is the mean difference of the means of near-coincident
+ * observation pairs, applied to mean, min, max and median. Sensors with fewer
+ * than MIN_BIAS_PAIRS pairs are left uncorrected (offset null).
+ * Returns the corrected records and a description of the correction.
+ */
+const correctSensorBias = (records, reference) => {
+  const referenceRecords = records.filter(
+    (record) => record.sensor === reference && record.mean !== null
+  );
+  const others = [...new Set(records.map((record) => record.sensor))].filter(
+    (sensor) => sensor !== reference
+  );
+
+  const offsets = {};
+  for (const sensor of others) {
+    const differences = [];
+    for (const record of records) {
+      if (record.sensor !== sensor || record.mean === null) continue;
+      let nearest = null;
+      for (const candidate of referenceRecords) {
+        const distance = Math.abs(toTime(candidate.date) - toTime(record.date));
+        if (
+          distance <= BIAS_MAX_DAYS * DAY_MS &&
+          (!nearest || distance < nearest.distance)
+        ) {
+          nearest = { distance, mean: candidate.mean };
+        }
+      }
+      if (nearest) differences.push(nearest.mean - record.mean);
+    }
+    offsets[sensor] = {
+      offset:
+        differences.length >= MIN_BIAS_PAIRS
+          ? round(
+              differences.reduce((sum, value) => sum + value, 0) /
+                differences.length
+            )
+          : null,
+      pairs: differences.length,
+    };
+  }
+
+  const corrected = records.map((record) => {
+    const offset = offsets[record.sensor]?.offset;
+    if (!offset) return record;
+    const shifted = { ...record };
+    for (const key of ["mean", "min", "max", "median"]) {
+      if (shifted[key] !== null) shifted[key] = round(shifted[key] + offset);
+    }
+    return shifted;
+  });
+
+  return {
+    records: corrected,
+    correction: {
+      reference,
+      max_days: BIAS_MAX_DAYS,
+      sensors: offsets,
+    },
+  };
+};
+
+export { SENSORS, correctSensorBias, sensorNDVI };
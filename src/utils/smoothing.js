@@ -0,0 +1,276 @@
+// Post-processing of index timeseries: resampling to a regular interval,
+// gap-filling and Savitzky-Golay or Whittaker smoothing.
+
+const SMOOTHING_METHODS = ["none", "savitzky_golay", "whittaker"];
+
+const INTERPOLATION_METHODS = ["linear", "spline"];
+
+// Resampling interval in days
+const RESAMPLE_INTERVALS = {
+  daily: 1,
+  "5-day": 5,
+  "10-day": 10,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDay = (date) => Math.round(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+
+const fromDay = (day) => new Date(day * DAY_MS).toISOString().split("T")[0];
+
+const round = (value) =>
+  Number.isFinite(value) ? Math.round(value * 10000) / 10000 : null;
+
+// Observed (day, value) pairs sorted by day; same-day values are averaged
+const toObservations = (records, key) => {
+  const byDay = new Map();
+  for (const record of records) {
+    const value = record[key];
+    if (typeof value !== "number" || !Number.isFinite(value)) continue;
+    const day = toDay(record.date);
+    const entry = byDay.get(day) || { sum: 0, count: 0 };
+    entry.sum += value;
+    entry.count += 1;
+    byDay.set(day, entry);
+  }
+  return [...byDay.entries()]
+    .map(([day, { sum, count }]) => ({ day, value: sum / count }))
+    .sort((a, b) => a.day - b.day);
+};
+
+const interpolateLinear = (observations, days) => {
+  let j = 0;
+  return days.map((day) => {
+    while (j < observations.length - 2 && observations[j + 1].day < day) j++;
+    const a = observations[j];
+    const b = observations[Math.min(j + 1, observations.length - 1)];
+    if (b.day === a.day) return a.value;
+    const t = (day - a.day) / (b.day - a.day);
+    return a.value + t * (b.value - a.value);
+  });
+};
+
+// Natural cubic spline through the observations
+const interpolateSpline = (observations, days) => {
+  const n = observations.length;
+  if (n < 3) return interpolateLinear(observations, days);
+
+  const x = observations.map((o) => o.day);
+  const y = observations.map((o) => o.value);
+  const h = x.slice(1).map((xi, i) => xi - x[i]);
+
+  // Solve the tridiagonal system for second derivatives (Thomas algorithm)
+  const m = new Array(n).fill(0);
+  const c = new Array(n).fill(0);
+  const d = new Array(n).fill(0);
+  for (let i = 1; i < n - 1; i++) {
+    const diag = 2 * (h[i - 1] + h[i]) - h[i - 1] * c[i - 1];
+    const rhs =
+      6 * ((y[i + 1] - y[i]) / h[i] - (y[i] - y[i - 1]) / h[i - 1]) -
+      h[i - 1] * d[i - 1];
+    c[i] = h[i] / diag;
+    d[i] = rhs / diag;
+  }
+  for (let i = n - 2; i >= 1; i--) {
+    m[i] = d[i] - c[i] * m[i + 1];
+  }
+
+  let j = 0;
+  return days.map((day) => {
+    while (j < n - 2 && x[j + 1] < day) j++;
+    const t = day - x[j];
+    const u = x[j + 1] - day;
+    return (
+      (m[j] * u ** 3 + m[j + 1] * t ** 3) / (6 * h[j]) +
+      (y[j] / h[j] - (m[j] * h[j]) / 6) * u +
+      (y[j + 1] / h[j] - (m[j + 1] * h[j]) / 6) * t
+    );
+  });
+};
+
+// Least-squares polynomial fit of `order` to (offset, value) pairs,
+// returning the fitted value at offset 0
+const polynomialValueAtZero = (offsets, values, order) => {
+  const size = order + 1;
+  const matrix = Array.from({ length: size }, () =>
+    new Array(size + 1).fill(0)
+  );
+  offsets.forEach((offset, k) => {
+    for (let i = 0; i < size; i++) {
+      for (let j = 0; j < size; j++) {
+        matrix[i][j] += offset ** (i + j);
+      }
+      matrix[i][size] += values[k] * offset ** i;
+    }
+  });
+
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) {
+        pivot = row;
+      }
+    }
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+    for (let row = 0; row < size; row++) {
+      if (row === col || matrix[col][col] === 0) continue;
+      const factor = matrix[row][col] / matrix[col][col];
+      for (let k = col; k <= size; k++) {
+        matrix[row][k] -= factor * matrix[col][k];
+      }
+    }
+  }
+  return matrix[0][size] / matrix[0][0];
+};
+
+// Savitzky-Golay filter; windows are shifted inside the series at the edges
+const savitzkyGolay = (values, window, order) => {
+  const n = values.length;
+  const size = Math.min(window, n % 2 === 0 ? n - 1 : n);
+  const polyOrder = Math.min(order, size - 1);
+  if (size < 3) return [...values];
+
+  const half = (size - 1) / 2;
+  return values.map((_, i) => {
+    const start = Math.min(Math.max(i - half, 0), n - size);
+    const offsets = [];
+    const windowValues = [];
+    for (let k = start; k < start + size; k++) {
+      offsets.push(k - i);
+      windowValues.push(values[k]);
+    }
+    return polynomialValueAtZero(offsets, windowValues, polyOrder);
+  });
+};
+
+// Whittaker smoother with second-order differences: solves
+// (I + lambda * D'D) z = y with a banded Cholesky decomposition
+const whittaker = (values, lambda) => {
+  const n = values.length;
+  if (n < 3) return [...values];
+
+  // Diagonal and first two super-diagonals of I + lambda * D'D
+  const a0 = new Array(n).fill(1);
+  const a1 = new Array(n - 1).fill(0);
+  const a2 = new Array(n - 2).fill(0);
+  const stencil = [1, -2, 1];
+  for (let r = 0; r < n - 2; r++) {
+    for (let i = 0; i < 3; i++) {
+      for (let j = i; j < 3; j++) {
+        const weight = lambda * stencil[i] * stencil[j];
+        if (j === i) a0[r + i] += weight;
+        else if (j === i + 1) a1[r + i] += weight;
+        else a2[r + i] += weight;
+      }
+    }
+  }
+
+  // L with diagonal l0 and sub-diagonals l1 (i, i-1) and l2 (i, i-2)
+  const l0 = new Array(n).fill(0);
+  const l1 = new Array(n).fill(0);
+  const l2 = new Array(n).fill(0);
+  for (let i = 0; i < n; i++) {
+    if (i >= 2) l2[i] = a2[i - 2] / l0[i - 2];
+    if (i >= 1) l1[i] = (a1[i - 1] - l2[i] * l1[i - 1]) / l0[i - 1];
+    l0[i] = Math.sqrt(a0[i] - l1[i] ** 2 - l2[i] ** 2);
+  }
+
+  const z = new Array(n).fill(0);
+  for (let i = 0; i < n; i++) {
+    z[i] =
+      (values[i] -
+        (i >= 1 ? l1[i] * z[i - 1] : 0) -
+        (i >= 2 ? l2[i] * z[i - 2] : 0)) /
+      l0[i];
+  }
+  const result = new Array(n).fill(0);
+  for (let i = n - 1; i >= 0; i--) {
+    result[i] =
+      (z[i] -
+        (i + 1 < n ? l1[i + 1] * result[i + 1] : 0) -
+        (i + 2 < n ? l2[i + 2] * result[i + 2] : 0)) /
+      l0[i];
+  }
+  return result;
+};
+
+/**
+ * Resample timeseries records ({date, mean, ...}) to a regular interval,
+ * gap-fill and smooth them. Returns the applied parameters and a series of
+ * {date, value, gap_filled} where gap_filled marks grid dates without an
+ * observation within half an interval. The grid runs from the first to the
+ * last observation.
+ */
+const smoothTimeseries = (records, options = {}) => {
+  const {
+    method = "savitzky_golay",
+    interval = "5-day",
+    interpolation = "linear",
+    window = 5,
+    polyorder = 2,
+    lambda = 10,
+    key = "mean",
+  } = options;
+
+  const parameters = { method, interval, interpolation };
+  if (method === "savitzky_golay") {
+    Object.assign(parameters, { window, polyorder });
+  } else if (method === "whittaker") {
+    parameters.lambda = lambda;
+  }
+
+  const observations = toObservations(records || [], key);
+  if (observations.length === 0) {
+    return { ...parameters, series: [] };
+  }
+
+  const step = RESAMPLE_INTERVALS[interval] || RESAMPLE_INTERVALS["5-day"];
+  const firstDay = observations[0].day;
+  const lastDay = observations[observations.length - 1].day;
+  const days = [];
+  for (let day = firstDay; day <= lastDay; day += step) days.push(day);
+  // The last step is shorter when the span is not a multiple of the interval,
+  // so the newest observation stays on the grid
+  if (days[days.length - 1] !== lastDay) days.push(lastDay);
+
+  const filled =
+    observations.length === 1
+      ? days.map(() => observations[0].value)
+      : interpolation === "spline"
+        ? interpolateSpline(observations, days)
+        : interpolateLinear(observations, days);
+
+  let smoothed = filled;
+  if (method === "savitzky_golay") {
+    smoothed = savitzkyGolay(filled, window, polyorder);
+  } else if (method === "whittaker") {
+    smoothed = whittaker(filled, lambda);
+  }
+
+  let j = 0;
+  const series = days.map((day, i) => {
+    while (
+      j < observations.length - 1 &&
+      observations[j].day < day - step / 2
+    ) {
+      j++;
+    }
+    return {
+      date: fromDay(day),
+      value: round(smoothed[i]),
+      gap_filled: Math.abs(observations[j].day - day) > step / 2,
+    };
+  });
+
+  return { ...parameters, series };
+};
+
+export {
+  INTERPOLATION_METHODS,
+  RESAMPLE_INTERVALS,
+  SMOOTHING_METHODS,
+  savitzkyGolay,
+  smoothTimeseries,
+  whittaker,
+};
@@ -0,0 +1,272 @@
+// Terrain derivatives of a DEM grid (3x3 moving window): slope (Horn),
+// aspect, hillshade, TRI (Riley), roughness and curvature (Zevenbergen &
+// Thorne). Cells at the grid edge or next to nodata have no derivatives.
+
+const TERRAIN_DERIVATIVES = [
+  "slope",
+  "aspect",
+  "hillshade",
+  "tri",
+  "roughness",
+  "curvature",
+];
+
+const DEFAULT_HILLSHADE = { azimuth: 315, altitude: 45 };
+
+// Metres per degree of latitude / of longitude at the equator (WGS84)
+const METERS_PER_DEGREE_LAT = 110574;
+const METERS_PER_DEGREE_LON = 111320;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+const round = (value, decimals = 2) =>
+  Number.isFinite(value)
+    ? Math.round(value * 10 ** decimals) / 10 ** decimals
+    : null;
+
+// Whether grid coordinates are longitude/latitude degrees. The CRS may be an
+// EPSG code, a PROJ string or WKT; without one the coordinate range decides.
+const isGeographic = (crs, xCoords, yCoords) => {
+  const text = String(crs || "").toUpperCase();
+  if (/PROJCS|PROJCRS|\+PROJ=(?!LONGLAT|LATLONG)/.test(text)) return false;
+  if (/EPSG:4326|GEOGCS|GEOGCRS|\+PROJ=(LONGLAT|LATLONG)/.test(text)) {
+    return true;
+  }
+  return [...xCoords, ...yCoords].every((value) => Math.abs(value) <= 180);
+};
+
+/**
+ * Signed cell size in metres along x (per grid row, since degrees of
+ * longitude shrink with latitude) and along y.
+ */
+const cellSize = (xCoords, yCoords, crs) => {
+  const stepX =
+    (xCoords[xCoords.length - 1] - xCoords[0]) / (xCoords.length - 1);
+  const stepY =
+    (yCoords[yCoords.length - 1] - yCoords[0]) / (yCoords.length - 1);
+
+  if (!isGeographic(crs, xCoords, yCoords)) {
+    return {
+      x: yCoords.map(() => stepX),
+      y: stepY,
+      geographic: false,
+    };
+  }
+
+  return {
+    x: yCoords.map(
+      (lat) => stepX * METERS_PER_DEGREE_LON * Math.cos(toRadians(lat))
+    ),
+    y: stepY * METERS_PER_DEGREE_LAT,
+    geographic: true,
+  };
+};
+
+// Compass sector (N, NE, ...) of an aspect in degrees
+const COMPASS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+const compassSector = (aspect) => COMPASS[Math.round(aspect / 45) % 8];
+
+// Derivative values of the centre cell of a 3x3 window
+//   a b c
+//   d e f
+//   g h i
+const windowDerivatives = (w, dx, dy, settings) => {
+  const [a, b, c, d, e, f, g, h, i] = w;
+  const values = {};
+
+  // Horn's gradient; dx/dy are signed so p points east and q north
+  const p = (c + 2 * f + i - (a + 2 * d + g)) / (8 * dx);
+  const q = (g + 2 * h + i - (a + 2 * b + c)) / (8 * dy);
+  const gradient = Math.sqrt(p * p + q * q);
+  const slope = Math.atan(gradient);
+  // Direction the slope faces, clockwise from north; undefined on flat cells
+  const aspect =
+    gradient > 0 ? (toDegrees(Math.atan2(-p, -q)) + 360) % 360 : null;
+
+  if (settings.derivatives.includes("slope")) {
+    values.slope = round(toDegrees(slope));
+    values.slopePercent = round(gradient * 100);
+  }
+  if (settings.derivatives.includes("aspect")) {
+    values.aspect = round(aspect, 1);
+  }
+  if (settings.derivatives.includes("hillshade")) {
+    const zenith = toRadians(90 - settings.hillshade.altitude);
+    const azimuth = toRadians(settings.hillshade.azimuth);
+    const illumination =
+      Math.cos(zenith) * Math.cos(slope) +
+      (aspect === null
+        ? 0
+        : Math.sin(zenith) *
+          Math.sin(slope) *
+          Math.cos(azimuth - toRadians(aspect)));
+    values.hillshade = Math.round(255 * Math.max(0, illumination));
+  }
+  if (settings.derivatives.includes("tri")) {
+    // Riley et al.: root of the summed squared differences to the neighbours
+    values.tri = round(
+      Math.sqrt(
+        w.reduce((sum, z, k) => (k === 4 ? sum : sum + (z - e) ** 2), 0)
+      )
+    );
+  }
+  if (settings.derivatives.includes("roughness")) {
+    values.roughness = round(Math.max(...w) - Math.min(...w));
+  }
+  if (settings.derivatives.includes("curvature")) {
+    // Positive on convex (upward) surfaces, in 1/100 m like common GIS tools
+    const D = ((d + f) / 2 - e) / (dx * dx);
+    const E = ((b + h) / 2 - e) / (dy * dy);
+    values.curvature = round(-2 * (D + E) * 100, 4);
+  }
+
+  return values;
+};
+
+const describe = (values, units) => {
+  if (values.length === 0) {
+    return { count: 0, units };
+  }
+  const sorted = [...values].sort((x, y) => x - y);
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const median =
+    sorted.length % 2 === 0
+      ? (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2
+      : sorted[Math.floor(sorted.length / 2)];
+  const variance =
+    values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  return {
+    min: round(sorted[0], 4),
+    max: round(sorted[sorted.length - 1], 4),
+    mean: round(mean, 4),
+    median: round(median, 4),
+    stddev: round(Math.sqrt(variance), 4),
+    count: values.length,
+    units,
+  };
+};
+
+// Aspect is circular: report the circular mean and the share per compass sector
+const describeAspect = (values) => {
+  const distribution = Object.fromEntries(COMPASS.map((dir) => [dir, 0]));
+  let sin = 0;
+  let cos = 0;
+  for (const aspect of values) {
+    sin += Math.sin(toRadians(aspect));
+    cos += Math.cos(toRadians(aspect));
+    distribution[compassSector(aspect)] += 1;
+  }
+  for (const dir of COMPASS) {
+    distribution[dir] = values.length
+      ? round(distribution[dir] / values.length, 4)
+      : 0;
+  }
+  return {
+    mean:
+      values.length > 0
+        ? round((toDegrees(Math.atan2(sin, cos)) + 360) % 360, 1)
+        : null,
+    count: values.length,
+    distribution,
+    units: "degrees",
+  };
+};
+
+// Per-cell value keys of the requested derivatives
+const derivativeKeys = (derivatives) =>
+  derivatives.flatMap((name) =>
+    name === "slope" ? ["slope", "slopePercent"] : [name]
+  );
+
+const UNITS = {
+  slope: "degrees",
+  slopePercent: "percent",
+  hillshade: "0-255",
+  tri: "meters",
+  roughness: "meters",
+  curvature: "1/100 meters",
+};
+
+/**
+ * Compute the requested derivatives for every cell of an elevation grid.
+ * `isValid(elevation)` decides which cells are nodata and `isInside(row, col)`
+ * which cells are computed and counted (neighbours outside still contribute
+ * to a window). Returns the per-cell
+ * values (grid[row][col], null where undefined), an all-null value object
+ * for such cells, their statistics and the cell size in metres.
+ */
+const computeTerrain = (elevations, xCoords, yCoords, crs, options = {}) => {
+  const settings = {
+    derivatives: options.derivatives || TERRAIN_DERIVATIVES,
+    hillshade: { ...DEFAULT_HILLSHADE, ...options.hillshade },
+    isValid: options.isValid || Number.isFinite,
+    isInside: options.isInside || (() => true),
+  };
+
+  const rows = Math.min(elevations.length, yCoords.length);
+  const cols = Math.min(
+    ...elevations.map((row) => (Array.isArray(row) ? row.length : 0)),
+    xCoords.length
+  );
+  const grid = Array.from({ length: rows }, () => new Array(cols).fill(null));
+  const empty = Object.fromEntries(
+    derivativeKeys(settings.derivatives).map((key) => [key, null])
+  );
+  if (rows < 3 || cols < 3) {
+    return { grid, empty, statistics: {}, cellSize: null };
+  }
+
+  const size = cellSize(xCoords, yCoords, crs);
+  const collected = {};
+
+  for (let r = 1; r < rows - 1; r++) {
+    for (let c = 1; c < cols - 1; c++) {
+      if (!settings.isInside(r, c)) continue;
+      const window = [];
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          window.push(elevations[r + dr][c + dc]);
+        }
+      }
+      if (!window.every(settings.isValid)) continue;
+
+      const values = windowDerivatives(window, size.x[r], size.y, settings);
+      grid[r][c] = values;
+      for (const [key, value] of Object.entries(values)) {
+        if (value === null) continue;
+        (collected[key] = collected[key] || []).push(value);
+      }
+    }
+  }
+
+  const statistics = {};
+  for (const key of Object.keys(collected)) {
+    statistics[key] =
+      key === "aspect"
+        ? describeAspect(collected.aspect)
+        : describe(collected[key], UNITS[key]);
+  }
+
+  const meanX =
+    size.x.reduce((sum, value) => sum + Math.abs(value), 0) / size.x.length;
+  return {
+    grid,
+    empty,
+    statistics,
+    cellSize: {
+      x: round(meanX),
+      y: round(Math.abs(size.y)),
+      units: "meters",
+      geographic: size.geographic,
+    },
+  };
+};
+
+export {
+  DEFAULT_HILLSHADE,
+  TERRAIN_DERIVATIVES,
+  cellSize,
+  computeTerrain,
+  isGeographic,
+};
@@ -0,0 +1,294 @@
+// Aggregation reducer and response normalization for index timeseries.
+
+import { smoothTimeseries } from "./smoothing.js";
+import { correctSensorBias } from "./sensors.js";
+
+// Statistics computed per date by the aggregate_spatial reducer, in the order
+// they appear in the reducer's array_create output
+const TIMESERIES_STATISTICS = [
+  "mean",
+  "min",
+  "max",
+  "median",
+  "stddev",
+  "valid_pixel_count",
+];
+
+const STATISTIC_PROCESSES = {
+  mean: "mean",
+  min: "min",
+  max: "max",
+  median: "median",
+  stddev: "sd",
+  valid_pixel_count: "count",
+};
+
+const round = (value, decimals = 4) =>
+  typeof value === "number" && Number.isFinite(value)
+    ? Math.round(value * 10 ** decimals) / 10 ** decimals
+    : null;
+
+/**
+ * aggregate_spatial reducer computing TIMESERIES_STATISTICS for every band.
+ */
+const buildStatisticsReducer = () => {
+  const processGraph = {};
+  for (const name of TIMESERIES_STATISTICS) {
+    processGraph[name] = {
+      process_id: STATISTIC_PROCESSES[name],
+      arguments: { data: { from_parameter: "data" } },
+    };
+  }
+  processGraph.statistics = {
+    process_id: "array_create",
+    arguments: {
+      data: TIMESERIES_STATISTICS.map((name) => ({ from_node: name })),
+    },
+    result: true,
+  };
+  return { process_graph: processGraph };
+};
+
+// Backends differ in how deeply they nest per-geometry values; flatten to
+// [band0 stats..., band1 stats...]
+const flattenValues = (values) =>
+  Array.isArray(values) ? values.flat(Infinity) : [values];
+
+// Convert the stats for one geometry on one date into a record. Masked cubes
+// carry a second valid_fraction band after the index band; `extraBands` name
+// further bands whose mean is added to the record (e.g. the SAR ratio).
+const toRecord = (date, values, masked, extraBands = []) => {
+  const flat = flattenValues(values);
+  const record = { date };
+
+  TIMESERIES_STATISTICS.forEach((name, i) => {
+    record[name] = round(flat[i]);
+  });
+  record.valid_pixel_count = record.valid_pixel_count ?? 0;
+
+  if (masked) {
+    // valid_fraction band follows the index band; its mean is the fraction
+    record.valid_pixel_fraction = round(flat[TIMESERIES_STATISTICS.length], 3);
+  }
+  extraBands.forEach((name, i) => {
+    record[name] = round(flat[TIMESERIES_STATISTICS.length * (i + 1)]);
+  });
+
+  return record;
+};
+
+const isResult = (rawData) =>
+  Boolean(rawData) && typeof rawData === "object" && !Array.isArray(rawData);
+
+// Date-sorted records of one geometry. Multi-sensor results are keyed by
+// sensor ({ sentinel2: raw, landsat: raw }) and merged into one series; with
+// `meta.sensors` every record is tagged with its sensor.
+const toRecords = (rawData, meta, masked) => {
+  const sensors = meta.sensors || [];
+  if (sensors.length > 1) {
+    return sensors
+      .filter((sensor) => isResult(rawData[sensor]))
+      .flatMap((sensor) =>
+        toRecords(rawData[sensor], { ...meta, sensors: [sensor] }, masked)
+      )
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  const geometryIndex = meta.geometryIndex || 0;
+  return Object.entries(rawData)
+    .map(([timestamp, geometries]) => {
+      const values = Array.isArray(geometries)
+        ? geometries[geometryIndex]
+        : geometries;
+      const { date, ...statistics } = toRecord(
+        String(timestamp).split("T")[0],
+        values,
+        masked,
+        meta.extraBands
+      );
+      return { date, ...(sensors[0] && { sensor: sensors[0] }), ...statistics };
+    })
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Transform a raw aggregate_spatial result ({date: [[...stats]]}) into a
+ * date-sorted array of records plus summary metadata. `meta.geometryIndex`
+ * selects the geometry when several were aggregated (default 0). With
+ * `meta.biasCorrection`, multi-sensor series are shifted onto the first
+ * sensor (see sensors.correctSensorBias).
+ */
+const transformTimeseriesData = (rawData, meta = {}) => {
+  if (!isResult(rawData)) {
+    return null;
+  }
+
+  const masked = Boolean(meta.cloudMask && meta.cloudMask !== "none");
+  const sensors = meta.sensors || [];
+  let timeseries = toRecords(rawData, meta, masked);
+  let biasCorrection = null;
+  if (meta.biasCorrection && sensors.length > 1) {
+    ({ records: timeseries, correction: biasCorrection } = correctSensorBias(
+      timeseries,
+      sensors[0]
+    ));
+  }
+
+  const means = timeseries
+    .map((record) => record.mean)
+    .filter((value) => value !== null);
+
+  const summary = {
+    index: meta.index || "NDVI",
+    start_date: meta.startDate || null,
+    end_date: meta.endDate || null,
+    observations: timeseries.length,
+    valid_observations: means.length,
+    first_date: timeseries[0]?.date || null,
+    last_date: timeseries[timeseries.length - 1]?.date || null,
+    mean: means.length
+      ? round(means.reduce((sum, value) => sum + value, 0) / means.length)
+      : null,
+    min: means.length ? round(Math.min(...means)) : null,
+    max: means.length ? round(Math.max(...means)) : null,
+    statistics: TIMESERIES_STATISTICS,
+  };
+  if (masked) {
+    summary.cloud_mask = meta.cloudMask;
+  }
+  if (sensors.length > 0) {
+    // Observations per sensor
+    summary.sensors = Object.fromEntries(
+      sensors.map((sensor) => [
+        sensor,
+        timeseries.filter((record) => record.sensor === sensor).length,
+      ])
+    );
+  }
+  if (biasCorrection) {
+    summary.bias_correction = biasCorrection;
+  }
+  for (const name of meta.extraBands || []) {
+    const values = timeseries
+      .map((record) => record[name])
+      .filter((value) => value !== null);
+    summary[`${name}_mean`] = values.length
+      ? round(values.reduce((sum, value) => sum + value, 0) / values.length)
+      : null;
+  }
+
+  return { timeseries, summary };
+};
+
+/**
+ * Transform a multi-feature aggregate_spatial result into per-field results
+ * keyed by feature id. Geometries are returned by the backend in the order
+ * of `fields.features`.
+ */
+const transformFieldTimeseries = (rawData, fields, meta = {}) => {
+  if (!isResult(rawData)) {
+    return null;
+  }
+
+  const results = {};
+  fields.features.forEach((feature, geometryIndex) => {
+    const transformed = transformTimeseriesData(rawData, {
+      ...meta,
+      geometryIndex,
+    });
+    results[feature.id] = {
+      properties: feature.properties || {},
+      ...transformed,
+    };
+  });
+  return results;
+};
+
+const toISODate = (value) => new Date(value).toISOString().split("T")[0];
+
+/**
+ * OpenEOService.getNDVITimeseries options from validated request parameters.
+ */
+const timeseriesOptions = (params) => ({
+  index: params.index,
+  expression: params.expression,
+  cloudMask: params.cloud_mask,
+  probabilityThreshold: params.cloud_probability_threshold,
+  maxCloudCover: params.max_cloud_cover,
+  collections: params.collections,
+});
+
+/**
+ * Transformation metadata from validated timeseries request parameters.
+ * Dates may be Date objects or ISO strings (e.g. from a persisted job).
+ */
+const timeseriesMeta = (params) => ({
+  index: params.expression ? "CUSTOM" : params.index || "NDVI",
+  startDate: toISODate(params.start_date),
+  endDate: toISODate(params.end_date),
+  cloudMask: params.cloud_mask,
+  sensors: params.collections,
+  biasCorrection: params.bias_correction,
+});
+
+/**
+ * Build the /ndvi/timeseries response body from a raw aggregate_spatial
+ * result. `fields` is the normalized FeatureCollection for multi-field
+ * requests, or null for a single polygon. `smoothing` holds the validated
+ * smoothing options, if any.
+ */
+const buildTimeseriesResponse = (
+  rawData,
+  { fields, meta, includeRaw, smoothing }
+) => {
+  // Raw records are kept; the resampled, smoothed series is added alongside
+  const withSmoothing = (result) =>
+    result && smoothing
+      ? { ...result, smoothed: smoothTimeseries(result.timeseries, smoothing) }
+      : result;
+
+  if (fields) {
+    const fieldResults = transformFieldTimeseries(rawData, fields, meta);
+    if (fieldResults) {
+      for (const id of Object.keys(fieldResults)) {
+        fieldResults[id] = withSmoothing(fieldResults[id]);
+      }
+    }
+    return {
+      success: true,
+      ...(fieldResults && {
+        fields: fieldResults,
+        summary: {
+          index: meta.index,
+          start_date: meta.startDate,
+          end_date: meta.endDate,
+          field_count: fields.features.length,
+        },
+      }),
+      ...((includeRaw || !fieldResults) && { rawData }),
+    };
+  }
+
+  const transformedData = withSmoothing(transformTimeseriesData(rawData, meta));
+
+  return {
+    success: true,
+    ...(transformedData && {
+      timeseries: transformedData.timeseries,
+      ...(transformedData.smoothed && { smoothed: transformedData.smoothed }),
+      summary: transformedData.summary,
+    }),
+    // Original backend payload, only when requested
+    ...((includeRaw || !transformedData) && { rawData }),
+  };
+};
+
+export {
+  TIMESERIES_STATISTICS,
+  buildStatisticsReducer,
+  buildTimeseriesResponse,
+  timeseriesMeta,
+  timeseriesOptions,
+  transformFieldTimeseries,
+  transformTimeseriesData,
+};
@@ -0,0 +1,70 @@
+import { area } from "@turf/turf";
+import { DEM_RESOLUTIONS } from "./dem.js";
+import { SENSORS } from "./sensors.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days covered by a start/end date pair, both inclusive
+const periodDays = (startDate, endDate) =>
+  Math.max(
+    1,
+    Math.round((new Date(endDate) - new Date(startDate)) / DAY_MS) + 1
+  );
+
+/**
+ * Processing size of a validated NDVI or DEM request body, the unit of the
+ * API key quotas: the geometry's area in hectares times the days of
+ * imagery it covers. Anomaly requests also process every baseline year and
+ * multi-sensor requests every sensor; DEM requests count as one day.
+ */
+const processingUsage = (body) => {
+  const geometry = body.geometry || {
+    type: "Polygon",
+    coordinates: body.coordinates,
+  };
+  const areaHa = area(geometry) / 10000;
+  const days = body.start_date
+    ? periodDays(body.start_date, body.end_date) *
+      (1 + (body.baseline_years?.length || 0)) *
+      (body.collections?.length || 1)
+    : 1;
+  return {
+    area_ha: Math.round(areaHa * 100) / 100,
+    days,
+    area_ha_days: Math.round(areaHa * days * 100) / 100,
+  };
+};
+
+/**
+ * Data volume of a validated NDVI or DEM request per source (sensor or DEM
+ * product): pixels covering the geometry and the number of scenes read,
+ * from the nominal revisit over the requested (and baseline) periods. Cloud
+ * cover filters and orbit gaps make the actual scene count lower.
+ */
+const processingSize = (body) => {
+  const usage = processingUsage(body);
+  const areaM2 = usage.area_ha * 10000;
+
+  const sources = body.start_date
+    ? (body.collections || ["sentinel2"]).map((sensor) => {
+        const { resolution, revisit } = SENSORS[sensor];
+        const scenes =
+          Math.ceil(periodDays(body.start_date, body.end_date) / revisit) *
+          (1 + (body.baseline_years?.length || 0));
+        return { sensor, resolution_m: resolution, scenes };
+      })
+    : [
+        {
+          product: body.product,
+          resolution_m: DEM_RESOLUTIONS[body.product],
+          scenes: 1,
+        },
+      ];
+
+  return sources.map((source) => {
+    const pixels = Math.ceil(areaM2 / source.resolution_m ** 2);
+    return { ...source, pixels, pixels_processed: pixels * source.scenes };
+  });
+};
+
+export { processingSize, processingUsage };
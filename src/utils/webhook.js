@@ -0,0 +1,93 @@
+import { createHmac } from "crypto";
+import { lookup } from "dns/promises";
+import { BlockList, isIP } from "net";
+import config from "../config.js";
+
+// Webhook requests carry "t=<unix seconds>,v1=<signature>" in this header,
+// the signature being the hex HMAC-SHA256 of "<t>.<raw body>" keyed with the
+// subscription secret. Receivers recompute it and reject old timestamps.
+const SIGNATURE_HEADER = "X-Webhook-Signature";
+
+const signPayload = (secret, timestamp, body) =>
+  createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+const signatureHeader = (
+  secret,
+  body,
+  timestamp = Math.floor(Date.now() / 1000)
+) => `t=${timestamp},v1=${signPayload(secret, timestamp, body)}`;
+
+// Addresses webhooks are never delivered to unless WEBHOOK_ALLOW_PRIVATE:
+// unspecified, loopback, private, shared (CGNAT), link-local, multicast and
+// reserved ranges, and IPv4-mapped IPv6 addresses
+const PRIVATE_ADDRESSES = new BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4")
+);
+[
+  ["::", 127],
+  ["::ffff:0:0", 96],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6")
+);
+
+const isPrivateAddress = (address) =>
+  PRIVATE_ADDRESSES.check(address, isIP(address) === 6 ? "ipv6" : "ipv4");
+
+/**
+ * Resolve the host of a webhook URL to the { address, family } to connect
+ * to. Throws when the host does not resolve or any of its addresses is
+ * private, unless WEBHOOK_ALLOW_PRIVATE.
+ */
+const resolveWebhookHost = async (hostname) => {
+  const host = hostname.replace(/^\[(.*)\]$/, "$1");
+  let addresses;
+  if (isIP(host)) {
+    addresses = [{ address: host, family: isIP(host) }];
+  } else {
+    try {
+      addresses = await lookup(host, { all: true });
+    } catch {
+      throw new Error(`host ${host} could not be resolved`);
+    }
+  }
+
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  if (blocked && !config.WEBHOOK_ALLOW_PRIVATE) {
+    throw new Error(
+      `host ${host} resolves to the private address ${blocked.address}`
+    );
+  }
+  return addresses[0];
+};
+
+// axios `lookup` of webhook requests: the address checked is the address
+// connected to, so a host cannot pass the check and then resolve elsewhere
+const webhookLookup = async (hostname) => {
+  const { address, family } = await resolveWebhookHost(hostname);
+  return [address, family];
+};
+
+export {
+  SIGNATURE_HEADER,
+  resolveWebhookHost,
+  signPayload,
+  signatureHeader,
+  webhookLookup,
+};
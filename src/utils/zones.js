@@ -0,0 +1,441 @@
+// Management zones: pixels of an index composite grid clustered into classes
+// and traced into zone polygons.
+
+import { area, featureCollection, intersect } from "@turf/turf";
+import config from "../config.js";
+import { parseDemData } from "./dem.js";
+import { isGeographic } from "./terrain.js";
+import { GridTooLargeError, NoDataError, UpstreamError } from "./errors.js";
+
+const ZONE_METHODS = ["kmeans", "quantile"];
+
+const KMEANS_MAX_ITERATIONS = 100;
+
+const round = (value, digits = 4) =>
+  Math.round(value * 10 ** digits) / 10 ** digits;
+
+const isValidValue = (value) =>
+  value !== null && value !== undefined && Number.isFinite(value);
+
+/**
+ * Composite grid of an openEO JSON result: values[y][x] with the x/y cell
+ * centre coordinates. A composite of a cloud-masked cube keeps its (single)
+ * band dimension, which is dropped.
+ */
+const compositeGrid = (data) => {
+  const parsed = parseDemData(data);
+  let values = parsed?.data;
+  if (Array.isArray(values?.[0]?.[0])) {
+    values = values[0];
+  }
+  const xCoords = parsed?.coords?.x?.data || [];
+  const yCoords = parsed?.coords?.y?.data || [];
+  if (!Array.isArray(values) || xCoords.length < 2 || yCoords.length < 2) {
+    throw new UpstreamError("Backend returned an unexpected composite grid");
+  }
+  if (!isGeographic(parsed.attrs?.crs, xCoords, yCoords)) {
+    throw new UpstreamError(
+      "Backend returned the composite grid in a projected CRS"
+    );
+  }
+  return { values, xCoords, yCoords };
+};
+
+// Cell edges between consecutive centre coordinates, extended by half a cell
+// at both ends; neighbouring cells share the exact same edge value
+const cellEdges = (coords) => {
+  const edges = [(3 * coords[0] - coords[1]) / 2];
+  for (let i = 1; i < coords.length; i++) {
+    edges.push((coords[i - 1] + coords[i]) / 2);
+  }
+  edges.push((3 * coords[coords.length - 1] - coords[coords.length - 2]) / 2);
+  return edges;
+};
+
+/**
+ * One-dimensional k-means of the values into k classes, initialized at
+ * evenly spaced quantiles so results are deterministic. Returns a classifier
+ * (value -> class index) with classes ordered by ascending centre.
+ */
+const kmeansClassifier = (sorted, k) => {
+  let centers = Array.from(
+    { length: k },
+    (_, i) => sorted[Math.floor(((i + 0.5) * sorted.length) / k)]
+  );
+  const nearest = (value) => {
+    let best = 0;
+    for (let i = 1; i < centers.length; i++) {
+      if (Math.abs(value - centers[i]) < Math.abs(value - centers[best])) {
+        best = i;
+      }
+    }
+    return best;
+  };
+
+  // In one dimension the clusters of ascending centres are runs of the
+  // sorted values split at the midpoints between centres, so each
+  // iteration is k binary searches over prefix sums instead of a pass over
+  // every value
+  const prefix = new Float64Array(sorted.length + 1);
+  sorted.forEach((value, i) => {
+    prefix[i + 1] = prefix[i] + value;
+  });
+  // Index of the first value above `limit`
+  const upperBound = (limit) => {
+    let [lo, hi] = [0, sorted.length];
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sorted[mid] <= limit) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+
+  for (let iteration = 0; iteration < KMEANS_MAX_ITERATIONS; iteration++) {
+    const bounds = [
+      0,
+      ...centers
+        .slice(1)
+        .map((center, i) => upperBound((centers[i] + center) / 2)),
+      sorted.length,
+    ];
+    // Empty clusters keep their centre
+    const updated = centers.map((center, i) =>
+      bounds[i + 1] > bounds[i]
+        ? (prefix[bounds[i + 1]] - prefix[bounds[i]]) /
+          (bounds[i + 1] - bounds[i])
+        : center
+    );
+    const converged = updated.every((center, i) => center === centers[i]);
+    centers = updated;
+    if (converged) break;
+  }
+
+  centers.sort((a, b) => a - b);
+  return nearest;
+};
+
+// Equal-count classes: class i holds values from the i-th to the (i+1)-th
+// k-quantile; tied values share a class
+const quantileClassifier = (sorted, k) => {
+  const breaks = Array.from(
+    { length: k - 1 },
+    (_, i) => sorted[Math.floor(((i + 1) * sorted.length) / k)]
+  );
+  return (value) => breaks.filter((limit) => value >= limit).length;
+};
+
+// Unit steps of the boundary directions in grid index space: +x, +y, -x, -y.
+// Turning left from direction d gives (d + 1) % 4.
+const STEPS = [
+  [1, 0],
+  [0, 1],
+  [-1, 0],
+  [0, -1],
+];
+
+/**
+ * Trace the zone boundaries of a class grid (classes[y][x], null for no
+ * data) into polygons, one linear pass over the cells instead of unioning
+ * them. Same-zone cells are grouped into 4-connected regions; every cell
+ * side facing another zone becomes a boundary edge with the region on its
+ * left, and edges are chained into rings, turning left where two rings
+ * touch at a corner so diagonal neighbours stay separate. Counterclockwise
+ * rings (in index space) are outer rings, clockwise ones holes. Returns
+ * per zone the polygon coordinates of the regions with a cell in
+ * `clipCells` (`boundary`) and of the others (`inside`).
+ */
+const traceZones = (classes, zoneCount, xEdges, yEdges, clipCells) => {
+  const rows = classes.length;
+  const cols = xEdges.length - 1;
+  const zoneAt = (x, y) =>
+    x >= 0 && y >= 0 && x < cols && y < rows ? classes[y][x] : null;
+
+  // 4-connected regions of same-zone cells
+  const region = new Int32Array(rows * cols).fill(-1);
+  const regionZone = [];
+  for (let start = 0; start < rows * cols; start++) {
+    const zone = zoneAt(start % cols, Math.floor(start / cols));
+    if (zone === null || region[start] !== -1) continue;
+    const id = regionZone.length;
+    regionZone.push(zone);
+    region[start] = id;
+    const stack = [start];
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const x = cell % cols;
+      const y = (cell - x) / cols;
+      for (const [dx, dy] of STEPS) {
+        const neighbour = (y + dy) * cols + x + dx;
+        if (zoneAt(x + dx, y + dy) === zone && region[neighbour] === -1) {
+          region[neighbour] = id;
+          stack.push(neighbour);
+        }
+      }
+    }
+  }
+
+  // Boundary edges keyed by start corner × 4 + direction, valued by region;
+  // corners are numbered y * (cols + 1) + x
+  const width = cols + 1;
+  const edges = new Map();
+  const addEdge = (x, y, direction, id) =>
+    edges.set((y * width + x) * 4 + direction, id);
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      const zone = classes[y][x];
+      if (zone === null) continue;
+      const id = region[y * cols + x];
+      if (zoneAt(x, y - 1) !== zone) addEdge(x, y, 0, id);
+      if (zoneAt(x + 1, y) !== zone) addEdge(x + 1, y, 1, id);
+      if (zoneAt(x, y + 1) !== zone) addEdge(x + 1, y + 1, 2, id);
+      if (zoneAt(x - 1, y) !== zone) addEdge(x, y + 1, 3, id);
+    }
+  }
+
+  // GeoJSON wants outer rings counterclockwise in longitude/latitude; grids
+  // with one descending axis (usually latitude) mirror index space
+  const mirrored =
+    Math.sign(xEdges[1] - xEdges[0]) * Math.sign(yEdges[1] - yEdges[0]) < 0;
+  const polygons = regionZone.map(() => ({ outer: null, holes: [] }));
+  for (const [start, id] of edges) {
+    const corners = [];
+    let key = start;
+    let signedArea = 0;
+    for (;;) {
+      edges.delete(key);
+      const corner = Math.floor(key / 4);
+      const direction = key % 4;
+      const x = corner % width;
+      const y = (corner - x) / width;
+      const [dx, dy] = STEPS[direction];
+      signedArea += x * (y + dy) - (x + dx) * y;
+      // Corners only where the boundary turns
+      if (key === start || direction !== corners.direction) {
+        corners.push([xEdges[x], yEdges[y]]);
+        corners.direction = direction;
+      }
+
+      const next = corner + dx + dy * width;
+      key = null;
+      for (const turn of [1, 0, 3]) {
+        const candidate = next * 4 + ((direction + turn) % 4);
+        if (candidate === start || edges.has(candidate)) {
+          key = candidate;
+          break;
+        }
+      }
+      if (key === null || key === start) break;
+    }
+    corners.push(corners[0]);
+
+    const ring = mirrored ? corners.reverse() : corners;
+    if (signedArea > 0) {
+      polygons[id].outer = ring;
+    } else {
+      polygons[id].holes.push(ring);
+    }
+  }
+
+  const clipRegions = new Set(
+    [...clipCells].map((cell) => region[cell]).filter((id) => id !== -1)
+  );
+  const zones = Array.from({ length: zoneCount }, () => ({
+    inside: [],
+    boundary: [],
+  }));
+  polygons.forEach(({ outer, holes }, id) => {
+    if (!outer) return;
+    const zone = zones[regionZone[id]];
+    (clipRegions.has(id) ? zone.boundary : zone.inside).push([outer, ...holes]);
+  });
+  return zones;
+};
+
+/**
+ * Cells (y * cols + x) of a regular grid that the outline of a GeoJSON
+ * (Multi)Polygon passes through or near. Valid cells have their centre in
+ * the field, so cells not in this set lie entirely inside it.
+ */
+const boundaryCells = (geometry, xEdges, yEdges) => {
+  const cols = xEdges.length - 1;
+  const rows = yEdges.length - 1;
+  const dx = xEdges[1] - xEdges[0];
+  const dy = yEdges[1] - yEdges[0];
+  const step = Math.min(Math.abs(dx), Math.abs(dy)) / 2;
+  const cells = new Set();
+  const mark = ([lon, lat]) => {
+    const x = Math.floor((lon - xEdges[0]) / dx);
+    const y = Math.floor((lat - yEdges[0]) / dy);
+    // With the neighbours: samples every half cell may skip a corner
+    for (let ny = y - 1; ny <= y + 1; ny++) {
+      for (let nx = x - 1; nx <= x + 1; nx++) {
+        if (nx >= 0 && ny >= 0 && nx < cols && ny < rows) {
+          cells.add(ny * cols + nx);
+        }
+      }
+    }
+  };
+
+  const polygons =
+    geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  for (const ring of polygons.flat()) {
+    for (let i = 0; i + 1 < ring.length; i++) {
+      const [a, b] = [ring[i], ring[i + 1]];
+      const samples = Math.ceil(
+        Math.max(Math.abs(b[0] - a[0]), Math.abs(b[1] - a[1])) / step
+      );
+      for (let t = 0; t <= samples; t++) {
+        const f = samples > 0 ? t / samples : 0;
+        mark([a[0] + (b[0] - a[0]) * f, a[1] + (b[1] - a[1]) * f]);
+      }
+    }
+  }
+  return cells;
+};
+
+/**
+ * Delineate management zones from a raw openEO composite grid (JSON, in
+ * longitude/latitude). Pixels are classified with options.method into
+ * options.zones classes, zone 1 having the lowest values; each zone's
+ * pixels are dissolved into a polygon clipped to options.geometry (GeoJSON).
+ * Returns a FeatureCollection with per-zone statistics and a summary.
+ */
+const delineateZones = (data, options) => {
+  const { values, xCoords, yCoords } = compositeGrid(data);
+
+  const pixels = [];
+  for (let yIdx = 0; yIdx < yCoords.length; yIdx++) {
+    const row = values[yIdx];
+    if (!Array.isArray(row)) continue;
+    for (let xIdx = 0; xIdx < xCoords.length; xIdx++) {
+      if (isValidValue(row[xIdx])) {
+        pixels.push({ yIdx, xIdx, value: row[xIdx] });
+      }
+    }
+  }
+  if (pixels.length === 0) {
+    throw new NoDataError(
+      "No valid pixels in the composite for the requested geometry and dates"
+    );
+  }
+  if (pixels.length > config.MAX_ZONE_PIXELS) {
+    throw new GridTooLargeError(
+      `Composite has ${pixels.length} valid pixels, above the limit of ${config.MAX_ZONE_PIXELS} for management zones`
+    );
+  }
+
+  const sorted = pixels.map((pixel) => pixel.value).sort((a, b) => a - b);
+  const k = Math.min(options.zones, sorted.length);
+  const classify =
+    options.method === "quantile"
+      ? quantileClassifier(sorted, k)
+      : kmeansClassifier(sorted, k);
+
+  const classes = yCoords.map(() => new Array(xCoords.length).fill(null));
+  const stats = Array.from({ length: k }, () => ({
+    count: 0,
+    sum: 0,
+    min: Infinity,
+    max: -Infinity,
+  }));
+  for (const pixel of pixels) {
+    const zone = classify(pixel.value);
+    classes[pixel.yIdx][pixel.xIdx] = zone;
+    const zoneStats = stats[zone];
+    zoneStats.count += 1;
+    zoneStats.sum += pixel.value;
+    zoneStats.min = Math.min(zoneStats.min, pixel.value);
+    zoneStats.max = Math.max(zoneStats.max, pixel.value);
+  }
+
+  // Regions crossed by the field outline are clipped to it; tracing alone
+  // follows the cell edges
+  const xEdges = cellEdges(xCoords);
+  const yEdges = cellEdges(yCoords);
+  const shapes = traceZones(
+    classes,
+    k,
+    xEdges,
+    yEdges,
+    options.geometry
+      ? boundaryCells(options.geometry, xEdges, yEdges)
+      : new Set()
+  );
+
+  const features = [];
+  stats.forEach((zoneStats, zone) => {
+    if (zoneStats.count === 0) return;
+    const { inside, boundary } = shapes[zone];
+    const clipped =
+      boundary.length > 0
+        ? intersect(
+            featureCollection([
+              {
+                type: "Feature",
+                properties: {},
+                geometry: { type: "MultiPolygon", coordinates: boundary },
+              },
+              { type: "Feature", properties: {}, geometry: options.geometry },
+            ])
+          )?.geometry
+        : null;
+    const polygons = [
+      ...inside,
+      ...(clipped?.type === "Polygon"
+        ? [clipped.coordinates]
+        : clipped?.coordinates || []),
+    ];
+    const shape =
+      polygons.length > 0
+        ? {
+            type: "Feature",
+            properties: {},
+            geometry:
+              polygons.length === 1
+                ? { type: "Polygon", coordinates: polygons[0] }
+                : { type: "MultiPolygon", coordinates: polygons },
+          }
+        : null;
+    if (!shape) return;
+    features.push({
+      type: "Feature",
+      properties: {
+        zone: zone + 1,
+        mean: round(zoneStats.sum / zoneStats.count),
+        min: round(zoneStats.min),
+        max: round(zoneStats.max),
+        pixel_count: zoneStats.count,
+        area_ha: round(area(shape) / 10000, 2),
+      },
+      geometry: shape.geometry,
+    });
+  });
+
+  const totalArea = features.reduce(
+    (sum, feature) => sum + feature.properties.area_ha,
+    0
+  );
+  for (const feature of features) {
+    feature.properties.area_percent =
+      totalArea > 0
+        ? round((feature.properties.area_ha / totalArea) * 100, 1)
+        : 0;
+  }
+
+  return {
+    zones: { type: "FeatureCollection", features },
+    summary: {
+      method: options.method,
+      zones_requested: options.zones,
+      zones: features.length,
+      pixel_count: pixels.length,
+      area_ha: round(totalArea, 2),
+      mean: round(
+        sorted.reduce((sum, value) => sum + value, 0) / sorted.length
+      ),
+    },
+  };
+};
+
+export { ZONE_METHODS, delineateZones };
@@ -1,4 +1,22 @@
 import Joi from "joi";
+import { area } from "@turf/turf";
+import config from "../config.js";
+import { INDEX_PRESETS, compileExpression } from "../utils/bandMath.js";
+import { CLOUD_MASK_METHODS } from "../utils/cloudMask.js";
+import {
+  INTERPOLATION_METHODS,
+  RESAMPLE_INTERVALS,
+  SMOOTHING_METHODS,
+} from "../utils/smoothing.js";
+import { PHENOLOGY_METHODS } from "../utils/phenology.js";
+import { DEFAULT_HILLSHADE, TERRAIN_DERIVATIVES } from "../utils/terrain.js";
+import { COLOR_RAMPS, RASTER_FORMATS } from "../utils/raster.js";
+import { validateGeometry } from "../utils/geometry.js";
+import { ORBIT_DIRECTIONS, SAR_POLARIZATIONS } from "../utils/sar.js";
+import { SENSORS } from "../utils/sensors.js";
+import { ZONE_METHODS } from "../utils/zones.js";
+import { CHANGE_DIRECTIONS, THRESHOLD_OPERATORS } from "../utils/alertRules.js";
+import { DEFAULT_SCOPES, SCOPES } from "../services/apiKeyService.js";
 
 // Coordinate validation: [longitude, latitude]
 const coordinateSchema = Joi.array().items(Joi.number()).length(2);
@@ -6,12 +24,160 @@ const coordinateSchema = Joi.array().items(Joi.number()).length(2);
 // Linear ring validation: array of coordinate pairs
 const linearRingSchema = Joi.array().items(coordinateSchema).min(3);
 
-// NDVI request schema
-const ndviRequestSchema = Joi.object({
-  start_date: Joi.date().required(),
-  end_date: Joi.date().required(),
-  coordinates: Joi.array().items(linearRingSchema).required(),
+// Polygon coordinates: array of linear rings (outer ring first, then holes)
+const polygonCoordinatesSchema = Joi.array().items(linearRingSchema).min(1);
+
+// GeoJSON Polygon or MultiPolygon geometry
+const polygonGeometrySchema = Joi.object({
+  type: Joi.string().valid("Polygon", "MultiPolygon").required(),
+  coordinates: Joi.when("type", {
+    is: "Polygon",
+    then: polygonCoordinatesSchema,
+    otherwise: Joi.array().items(polygonCoordinatesSchema).min(1),
+  }).required(),
+});
+
+const featureSchema = Joi.object({
+  type: Joi.string().valid("Feature").required(),
+  id: Joi.alternatives().try(Joi.string(), Joi.number()),
+  properties: Joi.object().allow(null),
+  geometry: polygonGeometrySchema.required(),
+});
+
+// GeoJSON FeatureCollection of fields, limited in feature count and total area
+const featureCollectionSchema = Joi.object({
+  type: Joi.string().valid("FeatureCollection").required(),
+  features: Joi.array()
+    .items(featureSchema)
+    .min(1)
+    .max(config.MAX_FIELDS_PER_REQUEST)
+    .required(),
 }).custom((value, helpers) => {
+  const ids = value.features
+    .map((feature) => feature.id ?? feature.properties?.id)
+    .filter((id) => id !== undefined);
+  const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+  if (duplicate !== undefined) {
+    return helpers.message(`duplicate feature id "${duplicate}"`);
+  }
+
+  const totalAreaHa = area(value) / 10000;
+  if (totalAreaHa > config.MAX_TOTAL_AREA_HA) {
+    return helpers.message(
+      `total area of ${Math.round(totalAreaHa)} ha exceeds the limit of ${config.MAX_TOTAL_AREA_HA} ha`
+    );
+  }
+
+  return value;
+}, "feature-collection-limits");
+
+// Area and vertex limits per polygon geometry
+const geometryLimits = {
+  minAreaHa: config.MIN_FIELD_AREA_HA,
+  maxAreaHa: config.MAX_FIELD_AREA_HA,
+  maxVertices: config.MAX_FIELD_VERTICES,
+};
+
+// Closure, coordinate bounds, self-intersections, holes, area and vertex
+// count of the request's `coordinates` or `geometry`. With repair_geometry
+// the repaired geometry replaces the input (see utils/geometry.js).
+const requestGeometryRule = (value, helpers) => {
+  const key = value.geometry ? "geometry" : "coordinates";
+  if (!value[key]) {
+    return value;
+  }
+
+  const { geometry, errors } = validateGeometry(value[key], {
+    ...geometryLimits,
+    repair: value.repair_geometry,
+  });
+  if (errors.length > 0) {
+    return helpers.error("geometry.invalid", {
+      summary: errors.map((error) => error.message).join("; "),
+      geometryErrors: errors,
+    });
+  }
+  return { ...value, [key]: geometry };
+};
+
+const geometryMessages = {
+  "geometry.invalid": "invalid geometry ({#summary})",
+};
+
+/**
+ * Body of a 400 response for a failed validation: the Joi messages and, for
+ * geometry problems, the structured errors with their ring/vertex location.
+ */
+const validationErrorBody = (error) => {
+  const geometryErrors = error.details.flatMap(
+    (detail) => detail.context?.geometryErrors || []
+  );
+  return {
+    error: "Validation error",
+    details: error.details.map((detail) => detail.message),
+    ...(geometryErrors.length > 0 && { geometry_errors: geometryErrors }),
+  };
+};
+
+// Middleware factory validating the request body against a schema; answers
+// 400 with validationErrorBody or replaces the body with the validated value
+const validateWith = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json(validationErrorBody(error));
+  }
+
+  req.body = value;
+  next();
+};
+
+// Spectral index: a named preset or a band-math expression like (B08-B04)/(B08+B04)
+const indexSchema = Joi.string()
+  .uppercase()
+  .valid(...Object.keys(INDEX_PRESETS));
+
+const expressionSchema = Joi.string()
+  .trim()
+  .max(200)
+  .custom((value, helpers) => {
+    try {
+      compileExpression(value);
+    } catch (error) {
+      return helpers.message(`expression is invalid: ${error.message}`);
+    }
+    return value;
+  }, "band-math-validation");
+
+// Timeseries post-processing: resample, gap-fill, then smooth
+const smoothingSchema = Joi.object({
+  method: Joi.string()
+    .valid(...SMOOTHING_METHODS)
+    .default("savitzky_golay"),
+  interval: Joi.string()
+    .valid(...Object.keys(RESAMPLE_INTERVALS))
+    .default("5-day"),
+  interpolation: Joi.string()
+    .valid(...INTERPOLATION_METHODS)
+    .default("linear"),
+  // Savitzky-Golay window length (odd) and polynomial order
+  window: Joi.number().integer().min(3).max(51).default(5),
+  polyorder: Joi.number().integer().min(0).max(5).default(2),
+  // Whittaker smoothing strength
+  lambda: Joi.number().positive().max(1e6).default(10),
+}).custom((value, helpers) => {
+  if (value.window % 2 === 0) {
+    return helpers.message("smoothing.window must be an odd number");
+  }
+  if (value.polyorder >= value.window) {
+    return helpers.message(
+      "smoothing.polyorder must be smaller than smoothing.window"
+    );
+  }
+  return value;
+}, "smoothing-validation");
+
+const dateOrderRule = (value, helpers) => {
   const { start_date, end_date } = value;
 
   if (start_date && end_date && start_date > end_date) {
@@ -21,19 +187,396 @@ const ndviRequestSchema = Joi.object({
   }
 
   return value;
-}, "date-order-validation");
+};
+
+// Optical sensors of the NDVI timeseries (see utils/sensors.js)
+const collectionsSchema = Joi.array().items(
+  Joi.string()
+    .lowercase()
+    .valid(...Object.keys(SENSORS))
+);
+
+// Sensors other than Sentinel-2 only provide NDVI, without pixel cloud masks
+const sensorRule = (value, helpers) => {
+  const sensors = value.collections || ["sentinel2"];
+  if (sensors.some((sensor) => sensor !== "sentinel2")) {
+    if (value.expression || (value.index && value.index !== "NDVI")) {
+      return helpers.message(
+        "collections other than sentinel2 only support the NDVI index"
+      );
+    }
+    if (value.cloud_mask !== "none") {
+      return helpers.message(
+        "cloud_mask is only available for sentinel2; use max_cloud_cover"
+      );
+    }
+  }
+  if (value.bias_correction && sensors.length < 2) {
+    return helpers.message("bias_correction needs at least two collections");
+  }
+  return value;
+};
+
+// NDVI request schema
+const ndviRequestSchema = Joi.object({
+  start_date: Joi.date().required(),
+  end_date: Joi.date().required(),
+  // Either a single polygon's rings or a FeatureCollection of fields
+  coordinates: Joi.array().items(linearRingSchema),
+  geometry: featureCollectionSchema,
+  index: indexSchema,
+  expression: expressionSchema,
+  // Cloud masking: "scl" uses the scene classification band, "probability"
+  // the cloud probability band with cloud_probability_threshold (percent)
+  cloud_mask: Joi.string()
+    .valid(...CLOUD_MASK_METHODS)
+    .default("none"),
+  cloud_probability_threshold: Joi.number().min(0).max(100),
+  // Scene-level filter on eo:cloud_cover (percent)
+  max_cloud_cover: Joi.number().min(0).max(100),
+  // Sensors to merge into one series, each observation tagged with its
+  // sensor; the first one is the reference of the bias correction
+  collections: collectionsSchema.min(1).unique(),
+  bias_correction: Joi.boolean().default(false),
+  // Include the untransformed openEO payload as rawData
+  include_raw: Joi.boolean().default(false),
+  smoothing: smoothingSchema,
+  // Close rings, rewind and split self-intersections instead of rejecting
+  repair_geometry: Joi.boolean().default(false),
+})
+  .xor("coordinates", "geometry")
+  .oxor("index", "expression")
+  .custom(requestGeometryRule, "geometry-validation")
+  .messages(geometryMessages)
+  .custom(dateOrderRule, "date-order-validation")
+  .custom(sensorRule, "sensor-validation");
+
+// Phenology detection settings
+const phenologySchema = Joi.object({
+  method: Joi.string()
+    .valid(...PHENOLOGY_METHODS)
+    .default("threshold"),
+  // Fraction of the seasonal amplitude marking start/end of season
+  threshold: Joi.number().min(0.05).max(0.95).default(0.5),
+  // Minimum peak prominence (index units) for a season to be reported
+  min_amplitude: Joi.number().min(0).max(2).default(0.1),
+}).default();
+
+// Phenology request: an NDVI request whose series is always smoothed first
+const phenologyRequestSchema = ndviRequestSchema.keys({
+  smoothing: smoothingSchema.default(),
+  phenology: phenologySchema,
+});
+
+// Anomaly request: an NDVI request (at most one year long) compared against
+// the same period in prior baseline years. Defaults to the 3 previous years.
+const anomalyRequestSchema = ndviRequestSchema
+  .keys({
+    baseline_years: Joi.array()
+      .items(Joi.number().integer().min(2013))
+      .unique()
+      .min(1)
+      .max(10),
+    // Absolute z-score from which a date is flagged as anomalous
+    anomaly_threshold: Joi.number().min(0.5).max(5).default(1.5),
+    smoothing: smoothingSchema.default(),
+  })
+  .custom((value, helpers) => {
+    const { start_date, end_date } = value;
+    if (end_date - start_date > 366 * 24 * 60 * 60 * 1000) {
+      return helpers.message("anomaly period must not exceed one year");
+    }
+
+    // First year with data of any requested sensor
+    const firstYear = Math.min(
+      ...(value.collections || ["sentinel2"]).map(
+        (sensor) => SENSORS[sensor].since
+      )
+    );
+    const startYear = start_date.getUTCFullYear();
+    const baselineYears =
+      value.baseline_years ||
+      [startYear - 3, startYear - 2, startYear - 1].filter(
+        (year) => year >= firstYear
+      );
+    if (baselineYears.length === 0) {
+      return helpers.message(
+        `no baseline years available: the default baseline ${startYear - 3}-${startYear - 1} precedes the first year of data (${firstYear})`
+      );
+    }
+    const early = baselineYears.find((year) => year < firstYear);
+    if (early !== undefined) {
+      return helpers.message(
+        `baseline year ${early} is before the first year of data (${firstYear})`
+      );
+    }
+    const invalid = baselineYears.find((year) => year >= startYear);
+    if (invalid !== undefined) {
+      return helpers.message(
+        `baseline year ${invalid} must be before the requested period (${startYear})`
+      );
+    }
+
+    return {
+      ...value,
+      baseline_years: [...baselineYears].sort((a, b) => a - b),
+    };
+  }, "anomaly-baseline-validation");
+
+// PNG quick-look rendering: values in [min, max] mapped onto a colour ramp.
+// Defaults depend on the endpoint (index range or elevation range).
+const quicklookSchema = (defaults) =>
+  Joi.object({
+    min: Joi.number().default(defaults.min),
+    max: Joi.number().default(defaults.max),
+    color_ramp: Joi.string()
+      .valid(...Object.keys(COLOR_RAMPS))
+      .default(defaults.color_ramp),
+  })
+    .default()
+    .custom((value, helpers) => {
+      if (value.min >= value.max) {
+        return helpers.message(
+          "quicklook.min must be smaller than quicklook.max"
+        );
+      }
+      return value;
+    }, "quicklook-range-validation");
 
-// DEM request schema - only JSON format supported, no file storage
+// Pixels a management zones composite will have, from the field area and the
+// sensor resolution, limited to MAX_ZONE_PIXELS
+const zonePixelRule = (value, helpers) => {
+  const { resolution } = SENSORS[value.collections?.[0] || "sentinel2"];
+  const geometry = value.geometry || {
+    type: "Polygon",
+    coordinates: value.coordinates,
+  };
+  const pixels = Math.round(area(geometry) / resolution ** 2);
+  if (pixels > config.MAX_ZONE_PIXELS) {
+    const maxHa = Math.floor(
+      (config.MAX_ZONE_PIXELS * resolution ** 2) / 10000
+    );
+    return helpers.message(
+      `area of about ${pixels} pixels at ${resolution} m exceeds the management zones limit of ${config.MAX_ZONE_PIXELS} pixels (${maxHa} ha)`
+    );
+  }
+  return value;
+};
+
+// Index composite over the date range as a raster download
+const compositeRequestSchema = ndviRequestSchema.keys({
+  // A single polygon's rings, a (Multi)Polygon or a FeatureCollection
+  geometry: Joi.alternatives().try(
+    polygonGeometrySchema,
+    featureCollectionSchema
+  ),
+  composite: Joi.string().valid("max", "median", "mean").default("max"),
+  format: Joi.string()
+    .valid(...Object.keys(RASTER_FORMATS))
+    .default("GTiff"),
+  quicklook: quicklookSchema({ min: 0, max: 1, color_ramp: "ndvi" }),
+  include_raw: Joi.forbidden(),
+  smoothing: Joi.forbidden(),
+  // One composite per sensor
+  collections: collectionsSchema.length(1),
+  bias_correction: Joi.forbidden(),
+});
+
+// Management zones of a single field from its per-pixel index composite
+const zonesRequestSchema = ndviRequestSchema
+  .keys({
+    // One polygon's rings or a (Multi)Polygon
+    geometry: polygonGeometrySchema,
+    composite: Joi.string().valid("max", "median").default("median"),
+    // Number of zones and how pixels are classified into them
+    zones: Joi.number().integer().min(2).max(10).default(3),
+    method: Joi.string()
+      .valid(...ZONE_METHODS)
+      .default("kmeans"),
+    include_raw: Joi.forbidden(),
+    smoothing: Joi.forbidden(),
+    collections: collectionsSchema.length(1),
+    bias_correction: Joi.forbidden(),
+  })
+  .custom(zonePixelRule, "zone-size-validation");
+
+// DEM request schema - JSON (with optional terrain derivatives) or a raster
+// download; no file storage
 const demRequestSchema = Joi.object({
-  coordinates: Joi.array().items(linearRingSchema).required(),
+  // Polygon rings (outer ring first, then holes) or a GeoJSON geometry
+  coordinates: polygonCoordinatesSchema,
+  geometry: polygonGeometrySchema,
   product: Joi.string().valid("GLO-30", "GLO-90", "EEA-10").default("GLO-30"),
-}).messages({
-  "any.required": "Missing required field",
+  format: Joi.string()
+    .valid("JSON", ...Object.keys(RASTER_FORMATS))
+    .default("JSON"),
+  quicklook: quicklookSchema({ min: 0, max: 1000, color_ramp: "terrain" }),
+  // Terrain derivatives computed from the elevation grid
+  derivatives: Joi.array()
+    .items(Joi.string().valid(...TERRAIN_DERIVATIVES))
+    .unique()
+    .default([]),
+  // Sun position for the hillshade
+  hillshade: Joi.object({
+    azimuth: Joi.number().min(0).max(360).default(DEFAULT_HILLSHADE.azimuth),
+    altitude: Joi.number().min(0).max(90).default(DEFAULT_HILLSHADE.altitude),
+  }).default(),
+  repair_geometry: Joi.boolean().default(false),
+})
+  .xor("coordinates", "geometry")
+  .custom(requestGeometryRule, "geometry-validation")
+  .custom((value, helpers) => {
+    if (value.format !== "JSON" && value.derivatives.length > 0) {
+      return helpers.message("derivatives are only available with format JSON");
+    }
+    return value;
+  }, "dem-format-validation")
+  .messages({
+    ...geometryMessages,
+    "any.required": "Missing required field",
+  });
+
+// Sentinel-1 SAR timeseries request: the NDVI request's geometry, dates and
+// post-processing, with the polarization mode and orbit direction instead of
+// the index and cloud options
+const sarRequestSchema = Joi.object({
+  start_date: Joi.date().required(),
+  end_date: Joi.date().required(),
+  coordinates: Joi.array().items(linearRingSchema),
+  geometry: featureCollectionSchema,
+  polarization: Joi.string()
+    .uppercase()
+    .valid(...Object.keys(SAR_POLARIZATIONS))
+    .default("VV+VH"),
+  orbit_direction: Joi.string()
+    .lowercase()
+    .valid(...ORBIT_DIRECTIONS)
+    .default("both"),
+  include_raw: Joi.boolean().default(false),
+  smoothing: smoothingSchema,
+  repair_geometry: Joi.boolean().default(false),
+})
+  .xor("coordinates", "geometry")
+  .custom(requestGeometryRule, "geometry-validation")
+  .messages(geometryMessages)
+  .custom(dateOrderRule, "date-order-validation");
+
+// Batch job request: job type and title; the remaining fields are the NDVI or
+// DEM request body and are validated with the matching schema
+const jobRequestSchema = Joi.object({
+  type: Joi.string().valid("ndvi", "dem").required(),
+  title: Joi.string().trim().max(200),
+}).unknown(true);
+
+// POST /admin/keys: a new API key; limits default to the configured ones
+// (0 disables a limit)
+const apiKeyRequestSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  scopes: Joi.array()
+    .items(Joi.string().valid(...SCOPES))
+    .min(1)
+    .unique()
+    .default(DEFAULT_SCOPES),
+  rate_limit_per_minute: Joi.number().integer().min(0),
+  daily_quota_ha_days: Joi.number().min(0),
 });
 
+// Subscription alert rule: a relative change of the polygon mean against the
+// previous observation, or a crossing of an absolute threshold
+const alertRuleSchema = Joi.object({
+  type: Joi.string().valid("change", "threshold").required(),
+  direction: Joi.when("type", {
+    is: "change",
+    then: Joi.string()
+      .valid(...CHANGE_DIRECTIONS)
+      .default("drop"),
+    otherwise: Joi.forbidden(),
+  }),
+  percent: Joi.when("type", {
+    is: "change",
+    then: Joi.number().greater(0).max(1000).required(),
+    otherwise: Joi.forbidden(),
+  }),
+  operator: Joi.when("type", {
+    is: "threshold",
+    then: Joi.string()
+      .valid(...THRESHOLD_OPERATORS)
+      .required(),
+    otherwise: Joi.forbidden(),
+  }),
+  value: Joi.when("type", {
+    is: "threshold",
+    then: Joi.number().required(),
+    otherwise: Joi.forbidden(),
+  }),
+});
+
+const alertRulesSchema = Joi.array().items(alertRuleSchema).min(1).max(10);
+
+const subscriptionScheduleSchema = Joi.string().valid(
+  "hourly",
+  "daily",
+  "weekly"
+);
+
+const webhookUrlSchema = Joi.string().uri({ scheme: ["http", "https"] });
+
+// POST /subscriptions: a polygon monitored on a schedule. Each run fetches
+// the index timeseries since the previous one; the first run starts at
+// start_date (default SUBSCRIPTION_LOOKBACK_DAYS ago).
+const subscriptionRequestSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  coordinates: Joi.array().items(linearRingSchema),
+  geometry: polygonGeometrySchema,
+  index: indexSchema,
+  expression: expressionSchema,
+  cloud_mask: Joi.string()
+    .valid(...CLOUD_MASK_METHODS)
+    .default("none"),
+  cloud_probability_threshold: Joi.number().min(0).max(100),
+  max_cloud_cover: Joi.number().min(0).max(100),
+  repair_geometry: Joi.boolean().default(false),
+  schedule: subscriptionScheduleSchema.default("weekly"),
+  start_date: Joi.date().iso().max("now"),
+  rules: alertRulesSchema.required(),
+  webhook_url: webhookUrlSchema.required(),
+})
+  .xor("coordinates", "geometry")
+  .oxor("index", "expression")
+  .custom(requestGeometryRule, "geometry-validation")
+  .messages(geometryMessages);
+
+// PATCH /subscriptions/{id}: pause or resume, or change the schedule, rules
+// or webhook; geometry and index are fixed
+const subscriptionUpdateSchema = Joi.object({
+  name: Joi.string().trim().max(100).allow(null),
+  status: Joi.string().valid("active", "paused"),
+  schedule: subscriptionScheduleSchema,
+  rules: alertRulesSchema,
+  webhook_url: webhookUrlSchema,
+}).min(1);
+
 export {
   ndviRequestSchema,
+  phenologyRequestSchema,
+  anomalyRequestSchema,
+  compositeRequestSchema,
+  zonesRequestSchema,
+  sarRequestSchema,
   demRequestSchema,
+  jobRequestSchema,
+  apiKeyRequestSchema,
+  subscriptionRequestSchema,
+  subscriptionUpdateSchema,
   coordinateSchema,
   linearRingSchema,
+  polygonGeometrySchema,
+  featureCollectionSchema,
+  indexSchema,
+  expressionSchema,
+  smoothingSchema,
+  phenologySchema,
+  geometryLimits,
+  validationErrorBody,
+  validateWith,
 };
@@ -0,0 +1,101 @@
+import http from "http";
+
+/**
+ * Local stand-in for an openEO backend and its OIDC token endpoint.
+ * `routes` maps "METHOD /path" (relative to the API root, ":name" matching
+ * one path segment) to handlers ({ params, body, url }) returning
+ * { status, headers, body }. Unknown routes answer 404; every request is
+ * recorded in `requests`.
+ */
+const startOpenEOServer = async (routes = {}) => {
+  const requests = [];
+  const matchers = Object.entries(routes).map(([route, handler]) => {
+    const [method, pattern] = route.split(" ");
+    const names = [];
+    const regex = new RegExp(
+      `^${pattern.replace(/:(\w+)/g, (_, name) => {
+        names.push(name);
+        return "([^/]+)";
+      })}$`
+    );
+    return { method, regex, names, handler };
+  });
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      const send = (status, body = null, headers = {}) => {
+        res.writeHead(status, {
+          ...(body !== null && { "Content-Type": "application/json" }),
+          ...headers,
+        });
+        res.end(body !== null ? JSON.stringify(body) : undefined);
+      };
+      const body =
+        raw && req.headers["content-type"]?.includes("json")
+          ? JSON.parse(raw)
+          : raw;
+      requests.push({
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body,
+      });
+
+      if (req.url === "/token") {
+        return send(200, { access_token: "test-token", expires_in: 3600 });
+      }
+      const path = req.url.replace(/^\/openeo\/1\.0/, "").split("?")[0];
+      if (path === "/" || path === "") {
+        return send(200, { api_version: "1.2.0", endpoints: [] });
+      }
+      for (const { method, regex, names, handler } of matchers) {
+        const match = method === req.method && path.match(regex);
+        if (match) {
+          const params = Object.fromEntries(
+            names.map((name, i) => [name, match[i + 1]])
+          );
+          const response = handler({ params, body, url: req.url });
+          return send(
+            response.status ?? 200,
+            response.body ?? null,
+            response.headers
+          );
+        }
+      }
+      send(404, {
+        code: "NotFound",
+        message: `No route ${req.method} ${path}`,
+      });
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  return {
+    apiUrl: `${origin}/openeo/1.0`,
+    tokenUrl: `${origin}/token`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+// Environment for importing the app against a mock backend: no retries,
+// authentication off, in-memory stores and no scheduler unless overridden
+const testEnv = (backend, overrides = {}) => ({
+  OPENEO_API_URL: backend.apiUrl,
+  OPENEO_TOKEN_URL: backend.tokenUrl,
+  OPENEO_CLIENT_ID: "test-client",
+  OPENEO_CLIENT_SECRET: "test-secret",
+  OPENEO_RETRIES: "0",
+  AUTH_ENABLED: "false",
+  API_KEY_STORE: "memory",
+  JOB_STORE: "memory",
+  SUBSCRIPTION_STORE: "memory",
+  SUBSCRIPTION_SCHEDULER_ENABLED: "false",
+  CACHE_STORE: "memory",
+  ...overrides,
+});
+
+export { startOpenEOServer, testEnv };
@@ -0,0 +1,276 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { jest } from "@jest/globals";
+import request from "supertest";
+import { startOpenEOServer, testEnv } from "./helpers/openeoServer.js";
+
+const RING = [
+  [
+    [5.05, 51.22],
+    [5.06, 51.22],
+    [5.06, 51.21],
+    [5.05, 51.21],
+    [5.05, 51.22],
+  ],
+];
+
+const JOB_REQUEST = {
+  type: "ndvi",
+  title: "Season 2020",
+  start_date: "2020-01-01",
+  end_date: "2020-06-01",
+  coordinates: RING,
+};
+
+// openEO job id -> { status, progress, error } as reported by the backend
+const remoteJobs = new Map();
+// Status the backend answers POST /jobs/:id/results with, when set
+let startFailure = null;
+let backend;
+let storeDir;
+let app;
+
+// Import the app with a fresh module graph, like a server (re)start
+const startApp = async () => {
+  jest.resetModules();
+  ({ default: app } = await import("../src/app.js"));
+  return app;
+};
+
+beforeAll(async () => {
+  backend = await startOpenEOServer({
+    "POST /jobs": () => {
+      const id = `j-${remoteJobs.size + 1}`;
+      remoteJobs.set(id, { status: "created" });
+      return { status: 201, headers: { "OpenEO-Identifier": id } };
+    },
+    "POST /jobs/:id/results": ({ params }) => {
+      if (startFailure) {
+        return { status: startFailure, body: { message: "Cannot start" } };
+      }
+      remoteJobs.get(params.id).status = "queued";
+      return { status: 202 };
+    },
+    "DELETE /jobs/:id": ({ params }) => {
+      remoteJobs.get(params.id).status = "deleted";
+      return { status: 204 };
+    },
+    "GET /jobs/:id": ({ params }) => ({
+      body: { id: params.id, ...remoteJobs.get(params.id) },
+    }),
+    "GET /jobs/:id/results": ({ params }) => ({
+      body: {
+        assets: {
+          "timeseries.json": {
+            href: `${backend.apiUrl}/jobs/${params.id}/assets/timeseries.json`,
+            type: "application/json",
+          },
+        },
+      },
+    }),
+    "GET /jobs/:id/assets/timeseries.json": () => ({
+      body: {
+        "2020-01-06T00:00:00Z": [[0.5, 0.1, 0.8, 0.55, 0.1, 120]],
+        "2020-01-11T00:00:00Z": [[0.6, 0.2, 0.9, 0.62, 0.1, 120]],
+      },
+    }),
+  });
+  storeDir = await fs.mkdtemp(path.join(os.tmpdir(), "ndvi-jobs-"));
+  Object.assign(
+    process.env,
+    testEnv(backend, {
+      JOB_STORE: "file",
+      JOB_STORE_PATH: path.join(storeDir, "jobs.json"),
+    })
+  );
+  await startApp();
+});
+
+afterAll(async () => {
+  await backend.close();
+  await fs.rm(storeDir, { recursive: true, force: true });
+});
+
+const createJob = async () => {
+  const response = await request(app).post("/jobs").send(JOB_REQUEST);
+  expect(response.status).toBe(202);
+  return response.body.job;
+};
+
+describe("POST /jobs", () => {
+  test("creates and queues an openEO batch job", async () => {
+    const requestsBefore = backend.requests.length;
+    const response = await request(app).post("/jobs").send(JOB_REQUEST);
+
+    expect(response.status).toBe(202);
+    expect(response.headers.location).toBe(`/jobs/${response.body.job.id}`);
+    expect(response.body.job).toMatchObject({
+      type: "ndvi",
+      title: "Season 2020",
+      status: "queued",
+      error: null,
+    });
+
+    const { openeo_job_id: openeoJobId } = response.body.job;
+    const calls = backend.requests.slice(requestsBefore);
+    const submitted = calls.find(
+      (call) => call.method === "POST" && call.url === "/openeo/1.0/jobs"
+    );
+    expect(submitted.headers.authorization).toMatch(/^Bearer .*test-token$/);
+    expect(submitted.body.title).toBe("Season 2020");
+    const nodes = Object.values(submitted.body.process.process_graph);
+    expect(nodes.some((node) => node.process_id === "save_result")).toBe(true);
+    expect(
+      calls.some(
+        (call) =>
+          call.method === "POST" &&
+          call.url === `/openeo/1.0/jobs/${openeoJobId}/results`
+      )
+    ).toBe(true);
+  });
+
+  test("deletes the openEO job when it cannot be started", async () => {
+    const openeoJobId = `j-${remoteJobs.size + 1}`;
+    startFailure = 400;
+    let response;
+    try {
+      response = await request(app).post("/jobs").send(JOB_REQUEST);
+    } finally {
+      startFailure = null;
+    }
+
+    expect(response.status).toBe(422);
+    expect(remoteJobs.get(openeoJobId).status).toBe("deleted");
+  });
+
+  test("rejects unknown job types", async () => {
+    const response = await request(app)
+      .post("/jobs")
+      .send({ ...JOB_REQUEST, type: "lai" });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe("Validation error");
+  });
+});
+
+describe("GET /jobs/:id", () => {
+  test("refreshes the status from openEO while the job runs", async () => {
+    const job = await createJob();
+    Object.assign(remoteJobs.get(job.openeo_job_id), {
+      status: "running",
+      progress: 40,
+    });
+
+    const response = await request(app).get(`/jobs/${job.id}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.job).toMatchObject({
+      status: "running",
+      progress: 40,
+    });
+  });
+
+  test("stops polling once the job is finished", async () => {
+    const job = await createJob();
+    remoteJobs.get(job.openeo_job_id).status = "finished";
+    await request(app).get(`/jobs/${job.id}`);
+
+    const polls = () =>
+      backend.requests.filter(
+        (call) => call.url === `/openeo/1.0/jobs/${job.openeo_job_id}`
+      ).length;
+    const before = polls();
+    const response = await request(app).get(`/jobs/${job.id}`);
+
+    expect(response.body.job.status).toBe("finished");
+    expect(polls()).toBe(before);
+  });
+
+  test("reports the error of a failed job", async () => {
+    const job = await createJob();
+    Object.assign(remoteJobs.get(job.openeo_job_id), {
+      status: "error",
+      error: { message: "Out of memory" },
+    });
+
+    const response = await request(app).get(`/jobs/${job.id}`);
+
+    expect(response.body.job).toMatchObject({
+      status: "error",
+      error: "Out of memory",
+    });
+  });
+
+  test("answers 404 for unknown jobs", async () => {
+    const response = await request(app).get("/jobs/unknown");
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe("Not Found");
+  });
+});
+
+describe("GET /jobs/:id/result", () => {
+  test("answers 409 until the job is finished", async () => {
+    const job = await createJob();
+    remoteJobs.get(job.openeo_job_id).status = "running";
+
+    const response = await request(app).get(`/jobs/${job.id}/result`);
+
+    expect(response.status).toBe(409);
+    expect(response.body.job.status).toBe("running");
+  });
+
+  test("returns the transformed timeseries of a finished job", async () => {
+    const job = await createJob();
+    remoteJobs.get(job.openeo_job_id).status = "finished";
+
+    const response = await request(app).get(`/jobs/${job.id}/result`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.job.status).toBe("finished");
+    expect(response.body.timeseries.map(({ date }) => date)).toEqual([
+      "2020-01-06",
+      "2020-01-11",
+    ]);
+    expect(response.body.timeseries[0].mean).toBeCloseTo(0.5);
+  });
+});
+
+describe("file job store", () => {
+  test("keeps jobs across a restart", async () => {
+    const job = await createJob();
+    remoteJobs.get(job.openeo_job_id).status = "running";
+
+    await startApp();
+    let response = await request(app).get(`/jobs/${job.id}`);
+    expect(response.status).toBe(200);
+    expect(response.body.job).toMatchObject({
+      id: job.id,
+      openeo_job_id: job.openeo_job_id,
+      status: "running",
+    });
+
+    remoteJobs.get(job.openeo_job_id).status = "finished";
+    await startApp();
+    response = await request(app).get(`/jobs/${job.id}/result`);
+    expect(response.status).toBe(200);
+    expect(response.body.timeseries).toHaveLength(2);
+  });
+
+  test("leaves an unreadable store file alone", async () => {
+    const storePath = process.env.JOB_STORE_PATH;
+    const saved = await fs.readFile(storePath, "utf8");
+    await fs.writeFile(storePath, "{ truncated");
+
+    await startApp();
+    const created = await request(app).post("/jobs").send(JOB_REQUEST);
+    const fetched = await request(app).get("/jobs/unknown");
+
+    expect(created.status).toBe(500);
+    expect(fetched.status).toBe(500);
+    expect(await fs.readFile(storePath, "utf8")).toBe("{ truncated");
+
+    await fs.writeFile(storePath, saved);
+  });
+});
@@ -0,0 +1,39 @@
+import { smoothTimeseries } from "../src/utils/smoothing.js";
+
+const records = (entries) =>
+  Object.entries(entries).map(([date, mean]) => ({ date, mean }));
+
+describe("smoothTimeseries", () => {
+  test("ends the grid on the last observation", () => {
+    const { series } = smoothTimeseries(
+      records({ "2024-01-01": 0.3, "2024-01-11": 0.5, "2024-01-14": 0.7 }),
+      { method: "none", interval: "5-day" }
+    );
+
+    expect(series.map(({ date }) => date)).toEqual([
+      "2024-01-01",
+      "2024-01-06",
+      "2024-01-11",
+      "2024-01-14",
+    ]);
+    expect(series.at(-1)).toEqual({
+      date: "2024-01-14",
+      value: 0.7,
+      gap_filled: false,
+    });
+  });
+
+  test("keeps a regular grid when the span is a multiple of the interval", () => {
+    const { series } = smoothTimeseries(
+      records({ "2024-01-01": 0.3, "2024-01-11": 0.5, "2024-01-21": 0.7 }),
+      { method: "none", interval: "10-day" }
+    );
+
+    expect(series.map(({ date }) => date)).toEqual([
+      "2024-01-01",
+      "2024-01-11",
+      "2024-01-21",
+    ]);
+    expect(series.every(({ gap_filled }) => !gap_filled)).toBe(true);
+  });
+});
@@ -0,0 +1,391 @@
+import http from "http";
+import { createHmac } from "crypto";
+import { jest } from "@jest/globals";
+import request from "supertest";
+import { testEnv } from "./helpers/openeoServer.js";
+
+const RING = [
+  [
+    [5.05, 51.22],
+    [5.06, 51.22],
+    [5.06, 51.21],
+    [5.05, 51.21],
+    [5.05, 51.22],
+  ],
+];
+const RULES = [
+  { type: "change", direction: "drop", percent: 15 },
+  { type: "threshold", operator: "below", value: 0.6 },
+];
+const RETRY_BASE_MS = 60 * 1000;
+const SECOND_MS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const T0 = Date.parse("2026-10-01T12:00:00Z");
+
+// Polygon means by date as the backend would report them; null for a fully
+// clouded observation
+let series;
+// getNDVITimeseries windows, [start, end]
+let windows;
+
+// Raw openEO aggregate_spatial result of the series within a window
+const timeseriesResult = (start, end) =>
+  Object.fromEntries(
+    Object.entries(series)
+      .filter(([date]) => date >= start && date <= end)
+      .map(([date, mean]) => [
+        `${date}T00:00:00Z`,
+        [
+          mean === null
+            ? [null, null, null, null, null, 0]
+            : [mean, mean - 0.1, mean + 0.1, mean, 0.05, 100],
+        ],
+      ])
+  );
+
+// Webhook receiver; each path answers the statuses queued for it, then 204
+const received = [];
+const statuses = {};
+const receiver = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    received.push({ path: req.url, headers: req.headers, body });
+    res.writeHead(statuses[req.url]?.shift() || 204).end();
+  });
+});
+const webhookUrl = (path) =>
+  `http://127.0.0.1:${receiver.address().port}${path}`;
+
+let app;
+let config;
+let subscriptionService;
+
+beforeAll(async () => {
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+  // No backend: getNDVITimeseries is mocked
+  Object.assign(
+    process.env,
+    testEnv(
+      {
+        apiUrl: "http://127.0.0.1:9/openeo/1.0",
+        tokenUrl: "http://127.0.0.1:9/token",
+      },
+      {
+        WEBHOOK_ALLOW_PRIVATE: "true",
+        WEBHOOK_MAX_ATTEMPTS: "3",
+        WEBHOOK_RETRY_BASE_MS: String(RETRY_BASE_MS),
+      }
+    )
+  );
+  ({ default: app } = await import("../src/app.js"));
+  ({ default: config } = await import("../src/config.js"));
+  ({ default: subscriptionService } =
+    await import("../src/services/subscriptionService.js"));
+  const { default: openeoService } =
+    await import("../src/services/openeoService.js");
+  jest
+    .spyOn(openeoService, "getNDVITimeseries")
+    .mockImplementation(async (geometry, start, end) => {
+      windows.push([start, end]);
+      return timeseriesResult(start, end);
+    });
+});
+
+afterAll(async () => {
+  jest.useRealTimers();
+  await new Promise((resolve) => receiver.close(resolve));
+});
+
+// Only Date is faked; the app and receiver keep real timers
+const setNow = (time) => jest.setSystemTime(time);
+
+beforeEach(() => {
+  jest.useFakeTimers({
+    doNotFake: [
+      "hrtime",
+      "nextTick",
+      "performance",
+      "queueMicrotask",
+      "setImmediate",
+      "clearImmediate",
+      "setInterval",
+      "clearInterval",
+      "setTimeout",
+      "clearTimeout",
+    ],
+  });
+  setNow(T0);
+  series = {
+    "2026-09-05": 0.7,
+    "2026-09-15": 0.72,
+    "2026-09-25": 0.55,
+  };
+  windows = [];
+  received.length = 0;
+});
+
+afterEach(async () => {
+  jest.useRealTimers();
+  for (const { id } of await subscriptionService.listSubscriptions()) {
+    await subscriptionService.deleteSubscription(id);
+  }
+});
+
+const createSubscription = async (path = "/hook") => {
+  const response = await request(app)
+    .post("/subscriptions")
+    .send({
+      coordinates: RING,
+      rules: RULES,
+      start_date: "2026-09-01",
+      webhook_url: webhookUrl(path),
+    });
+  expect(response.status).toBe(201);
+  return response.body.subscription;
+};
+
+const deliveriesOf = async (id) =>
+  (await request(app).get(`/subscriptions/${id}/deliveries`)).body.deliveries;
+
+describe("webhook signatures", () => {
+  test("signs the raw body with the subscription secret", async () => {
+    const { id, secret } = await createSubscription();
+
+    await request(app).post(`/subscriptions/${id}/run`);
+
+    expect(received).toHaveLength(1);
+    const { headers, body } = received[0];
+    const { t, v1 } = Object.fromEntries(
+      headers["x-webhook-signature"].split(",").map((part) => part.split("="))
+    );
+    expect(Number(t)).toBe(Math.floor(T0 / 1000));
+    expect(v1).toBe(
+      createHmac("sha256", secret).update(`${t}.${body}`).digest("hex")
+    );
+    expect(v1).not.toBe(
+      createHmac("sha256", "whsec_other").update(`${t}.${body}`).digest("hex")
+    );
+
+    const payload = JSON.parse(body);
+    expect(headers["x-webhook-id"]).toBe(payload.id);
+    expect(headers["x-webhook-event"]).toBe("subscription.alert");
+    expect(payload.subscription.id).toBe(id);
+  });
+});
+
+describe("webhook retries", () => {
+  test("backs off exponentially until WEBHOOK_MAX_ATTEMPTS", async () => {
+    statuses["/failing"] = [500, 503, 500];
+    const { id } = await createSubscription("/failing");
+
+    await request(app).post(`/subscriptions/${id}/run`);
+    let [delivery] = await deliveriesOf(id);
+    expect(delivery).toMatchObject({ status: "pending" });
+    expect(delivery.attempts.map((a) => a.status_code)).toEqual([500]);
+    expect(delivery.next_attempt_at).toBe(
+      new Date(T0 + RETRY_BASE_MS).toISOString()
+    );
+
+    // Not due yet
+    setNow(T0 + RETRY_BASE_MS - SECOND_MS);
+    await subscriptionService.tick();
+    [delivery] = await deliveriesOf(id);
+    expect(delivery.attempts).toHaveLength(1);
+
+    const second = T0 + RETRY_BASE_MS;
+    setNow(second);
+    await subscriptionService.tick();
+    [delivery] = await deliveriesOf(id);
+    expect(delivery.status).toBe("pending");
+    expect(delivery.attempts.map((a) => a.status_code)).toEqual([500, 503]);
+    expect(delivery.next_attempt_at).toBe(
+      new Date(second + 2 * RETRY_BASE_MS).toISOString()
+    );
+
+    setNow(second + 2 * RETRY_BASE_MS);
+    await subscriptionService.tick();
+    [delivery] = await deliveriesOf(id);
+    expect(delivery).toMatchObject({
+      status: "failed",
+      next_attempt_at: null,
+      delivered_at: null,
+    });
+    expect(delivery.attempts).toHaveLength(3);
+
+    // Given up
+    setNow(T0 + DAY_MS);
+    await subscriptionService.tick();
+    expect(received.filter((r) => r.path === "/failing")).toHaveLength(3);
+  });
+
+  test("delivers on a later attempt", async () => {
+    statuses["/flaky"] = [500];
+    const { id } = await createSubscription("/flaky");
+
+    await request(app).post(`/subscriptions/${id}/run`);
+    setNow(T0 + RETRY_BASE_MS);
+    await subscriptionService.tick();
+
+    const [delivery] = await deliveriesOf(id);
+    expect(delivery).toMatchObject({
+      status: "delivered",
+      delivered_at: new Date(T0 + RETRY_BASE_MS).toISOString(),
+      next_attempt_at: null,
+    });
+    expect(delivery.attempts.map((a) => a.status_code)).toEqual([500, 204]);
+    // Retries resend the same event
+    const [first, second] = received.filter((r) => r.path === "/flaky");
+    expect(second.headers["x-webhook-id"]).toBe(first.headers["x-webhook-id"]);
+    expect(second.body).toBe(first.body);
+  });
+});
+
+describe("incremental runs", () => {
+  test("fetch only the observations since the last run", async () => {
+    const { id } = await createSubscription();
+
+    // First run: due at once, from start_date
+    await subscriptionService.tick();
+    let subscription = await subscriptionService.getSubscription(id);
+    expect(windows).toEqual([["2026-09-01", "2026-10-01"]]);
+    expect(subscription).toMatchObject({
+      last_checked_date: "2026-09-25",
+      last_observation: { date: "2026-09-25", mean: 0.55 },
+      run_count: 1,
+      alert_count: 2,
+    });
+
+    // A week later: a recovery and a clouded observation, no alerts
+    Object.assign(series, { "2026-10-03": 0.65, "2026-10-06": null });
+    setNow(T0 + 7 * DAY_MS);
+    await subscriptionService.tick();
+    subscription = await subscriptionService.getSubscription(id);
+    expect(windows[1]).toEqual(["2026-09-26", "2026-10-08"]);
+    expect(subscription).toMatchObject({
+      last_checked_date: "2026-10-06",
+      last_observation: { date: "2026-10-03", mean: 0.65 },
+      run_count: 2,
+      alert_count: 2,
+    });
+
+    // Compared against the last clear observation of the previous run
+    series["2026-10-10"] = 0.5;
+    setNow(T0 + 14 * DAY_MS);
+    await subscriptionService.tick();
+    subscription = await subscriptionService.getSubscription(id);
+    expect(windows[2]).toEqual(["2026-10-07", "2026-10-15"]);
+    expect(subscription).toMatchObject({
+      last_checked_date: "2026-10-10",
+      alert_count: 4,
+    });
+    const payload = JSON.parse(received.at(-1).body);
+    expect(payload.period).toEqual({
+      start_date: "2026-10-07",
+      end_date: "2026-10-15",
+    });
+    expect(payload.alerts).toEqual([
+      expect.objectContaining({
+        rule: 0,
+        date: "2026-10-10",
+        previous_date: "2026-10-03",
+      }),
+      expect.objectContaining({ rule: 1, date: "2026-10-10" }),
+    ]);
+  });
+
+  test("do not run again before the schedule is due", async () => {
+    await createSubscription();
+
+    await subscriptionService.tick();
+    setNow(T0 + 6 * DAY_MS);
+    await subscriptionService.tick();
+
+    expect(windows).toHaveLength(1);
+  });
+});
+
+describe("POST /subscriptions/:id/run", () => {
+  test("answers 404 when the subscription is deleted during the run", async () => {
+    const { id } = await createSubscription();
+    const { default: openeoService } =
+      await import("../src/services/openeoService.js");
+    let finish;
+    let started;
+    const fetching = new Promise((resolve) => (started = resolve));
+    openeoService.getNDVITimeseries.mockImplementationOnce(
+      () =>
+        new Promise((resolve) => {
+          started();
+          finish = () => resolve(timeseriesResult("2026-09-01", "2026-10-01"));
+        })
+    );
+
+    const run = request(app).post(`/subscriptions/${id}/run`).then();
+    await fetching;
+    await subscriptionService.deleteSubscription(id);
+    finish();
+
+    const response = await run;
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe("Not Found");
+  });
+});
+
+describe("quota", () => {
+  test("charges a window once it has been fetched", async () => {
+    const { default: apiKeyService } =
+      await import("../src/services/apiKeyService.js");
+    const { default: openeoService } =
+      await import("../src/services/openeoService.js");
+    const key = await apiKeyService.createKey({ name: "owner" });
+    const { id } = await createSubscription();
+    await subscriptionService.store.update(id, { key_id: key.id });
+    const chargedToday = async () =>
+      (await apiKeyService.getUsage(key)).today.area_ha_days;
+
+    config.AUTH_ENABLED = true;
+    try {
+      openeoService.getNDVITimeseries.mockRejectedValueOnce(
+        new Error("Backend unavailable")
+      );
+      let { run } = await subscriptionService.runSubscription(id);
+      expect(run.error.message).toBe("Backend unavailable");
+      expect(await chargedToday()).toBe(0);
+
+      ({ run } = await subscriptionService.runSubscription(id));
+      expect(run.error).toBeNull();
+      expect(windows).toEqual([["2026-09-01", "2026-10-01"]]);
+      expect(await chargedToday()).toBeGreaterThan(0);
+    } finally {
+      config.AUTH_ENABLED = false;
+    }
+  });
+});
+
+describe("webhook URLs", () => {
+  test("reject private addresses unless WEBHOOK_ALLOW_PRIVATE", async () => {
+    config.WEBHOOK_ALLOW_PRIVATE = false;
+    try {
+      const responses = await Promise.all(
+        [
+          webhookUrl("/hook"),
+          "http://localhost/hook",
+          "http://169.254.169.254/latest/meta-data",
+          "http://10.0.0.8/hook",
+          "http://[::1]/hook",
+        ].map((url) =>
+          request(app)
+            .post("/subscriptions")
+            .send({ coordinates: RING, rules: RULES, webhook_url: url })
+        )
+      );
+      for (const response of responses) {
+        expect(response.status).toBe(400);
+        expect(response.body.details[0]).toMatch(/private address/);
+      }
+    } finally {
+      config.WEBHOOK_ALLOW_PRIVATE = true;
+    }
+  });
+});